@@ -0,0 +1,140 @@
+/**
+ * Registre des mini-apps du hub (grille de l'accueil, accès, routes).
+ *
+ * Chaque app est déclarée dans son module (apps/<slug>.js) :
+ *   { slug, name, icon, route, status, roles, createRouter(deps) }
+ *   status : 'live' | 'construction' (tuile « En chantier », pas de routes)
+ *   roles  : rôles autorisés par défaut ([] = tous les utilisateurs connectés)
+ *   createRouter(deps) -> express.Router, monté sur `route` derrière requireLogin + accès
+ *
+ * Réglages modifiables par l'admin (table hub_apps / hub_app_users) : activation, rôles,
+ * utilisateurs autorisés en plus des rôles. Gardés en mémoire (un seul processus Node).
+ *
+ *   createAppRegistry({ pool })
+ *     load()                          -> lit les réglages, crée ceux des apps nouvelles
+ *     mount(app, { requireLogin, ...deps }) -> monte le router de chaque app
+ *     canAccess(user, slug) / visibleFor(user) / list()
+ *     setEnabled(slug, enabled) / setAccess(slug, { roles, userIds })
+ */
+
+const express = require('express');
+
+const HUB_APPS = [
+  require('./toilet-app'),
+  require('./make-it-meme'),
+  require('./youtube'),
+  require('./mdk')
+];
+
+const APP_STATUSES = { live: 'En ligne', construction: 'En chantier' };
+const ANONYMOUS = { id: null, role: null };
+
+function createAppRegistry({ pool, apps = HUB_APPS }) {
+  const definitions = new Map(apps.map(a => [a.slug, a]));
+  const settings = new Map(); // slug -> { enabled, roles, userIds }
+
+  async function load() {
+    for (const def of definitions.values()) {
+      await pool.query(
+        'INSERT INTO hub_apps (slug, roles) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING',
+        [def.slug, def.roles || []]
+      );
+    }
+    const { rows } = await pool.query(`
+      SELECT a.slug, a.enabled, a.roles,
+        COALESCE(array_agg(u.user_id) FILTER (WHERE u.user_id IS NOT NULL), '{}') AS user_ids
+      FROM hub_apps a
+      LEFT JOIN hub_app_users u ON u.slug = a.slug
+      GROUP BY a.slug
+    `);
+    settings.clear();
+    rows.forEach(r => settings.set(r.slug, { enabled: r.enabled, roles: r.roles, userIds: r.user_ids }));
+  }
+
+  function canAccess(user, slug) {
+    const def = definitions.get(slug);
+    const s = settings.get(slug);
+    if (!user || !def || !s || !s.enabled) return false;
+    if (s.roles.length === 0 && s.userIds.length === 0) return true;
+    return s.roles.includes(user.role) || s.userIds.includes(user.id);
+  }
+
+  function tile(def) {
+    return { slug: def.slug, name: def.name, icon: def.icon, route: def.route, status: def.status };
+  }
+
+  // sans utilisateur (accueil verrouillé) : les apps ouvertes à tous, floutées derrière le cadenas
+  function visibleFor(user) {
+    return [...definitions.values()]
+      .filter(def => canAccess(user || ANONYMOUS, def.slug))
+      .map(tile);
+  }
+
+  function list() {
+    return [...definitions.values()].map(def => ({
+      ...tile(def),
+      statusLabel: APP_STATUSES[def.status],
+      ...(settings.get(def.slug) || { enabled: false, roles: [], userIds: [] })
+    }));
+  }
+
+  // middleware (après requireLogin) : app désactivée -> 404, utilisateur non autorisé -> 403 ;
+  // aussi posé sur les routes /api/* d'une app restées dans server.js (réponse JSON)
+  function requireApp(slug) {
+    return (req, res, next) => {
+      const s = settings.get(slug);
+      const isApi = req.originalUrl.startsWith('/api/');
+      if (!s || !s.enabled) {
+        return isApi ? res.status(404).json({ error: 'Application indisponible' }) : res.status(404).send('Application indisponible');
+      }
+      if (!canAccess(req.user, slug)) {
+        return isApi ? res.status(403).json({ error: 'Accès refusé' }) : res.status(403).send('Accès refusé');
+      }
+      next();
+    };
+  }
+
+  function mount(app, { requireLogin, ...deps }) {
+    for (const def of definitions.values()) {
+      if (def.status !== 'live' || !def.createRouter) continue;
+      const router = express.Router();
+      router.use(requireLogin, requireApp(def.slug));
+      router.use(def.createRouter(deps));
+      app.use(def.route, router);
+    }
+  }
+
+  async function setEnabled(slug, enabled) {
+    if (!definitions.has(slug)) return false;
+    await pool.query('UPDATE hub_apps SET enabled = $2, updated_at = NOW() WHERE slug = $1', [slug, enabled]);
+    await load();
+    return true;
+  }
+
+  async function setAccess(slug, { roles, userIds }) {
+    if (!definitions.has(slug)) return false;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE hub_apps SET roles = $2, updated_at = NOW() WHERE slug = $1', [slug, roles]);
+      await client.query('DELETE FROM hub_app_users WHERE slug = $1', [slug]);
+      await client.query(
+        `INSERT INTO hub_app_users (slug, user_id)
+         SELECT $1, id FROM users WHERE id = ANY($2::int[])`,
+        [slug, userIds]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    await load();
+    return true;
+  }
+
+  return { load, mount, canAccess, visibleFor, list, requireApp, setEnabled, setAccess };
+}
+
+module.exports = { APP_STATUSES, createAppRegistry };
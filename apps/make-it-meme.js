@@ -0,0 +1,308 @@
+/**
+ * Make It Meme : légendes (haut / bas / placées librement) sur une photo de la galerie
+ * ou une image envoyée, rendues côté serveur (images.renderMeme) et stockées comme les photos.
+ *
+ *   GET  /                      -> fil des memes, réactions, vote de la semaine
+ *   GET  /new                   -> éditeur (?photo= : photo de la galerie présélectionnée)
+ *   POST /memes                 -> rendu + enregistrement (multipart : image, photo_id, captions)
+ *   POST /memes/:id/reactions   -> ajoute / retire une réaction
+ *   POST /memes/:id/vote        -> voix de la semaine (une par utilisateur, pas pour son propre meme)
+ *   POST /memes/:id/delete      -> auteur ou permission photos.delete
+ *
+ * Vote : chaque meme concourt pendant sa semaine de création (semaine ISO, heure de Paris) ;
+ * le meme de la semaine précédente ayant le plus de voix est affiché en tête du fil.
+ */
+
+const express = require('express');
+
+const MEMES_PAGE_SIZE = 20;
+const SOURCE_PHOTOS_LIMIT = 60;
+const MEME_MAX_CAPTIONS = 6;
+const MEME_CAPTION_MAX_LENGTH = 120;
+const CAPTION_POSITIONS = ['top', 'bottom', 'free'];
+const STORAGE_FOLDER = 'memes';
+
+const WEEK_KEY_SQL = `to_char(NOW() AT TIME ZONE 'Europe/Paris', 'IYYY-"W"IW')`;
+const LAST_WEEK_KEY_SQL = `to_char(NOW() AT TIME ZONE 'Europe/Paris' - INTERVAL '7 days', 'IYYY-"W"IW')`;
+
+// JSON envoyé par l'éditeur -> légendes valides (texte non vide), ou null
+function parseCaptions(json) {
+  let captions;
+  try {
+    captions = JSON.parse(json || '[]');
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(captions)) return null;
+
+  const clamp = value => Math.min(Math.max(Number(value) || 0, 0), 1);
+  const parsed = captions
+    .filter(c => c && typeof c.text === 'string' && c.text.trim() && CAPTION_POSITIONS.includes(c.position))
+    .slice(0, MEME_MAX_CAPTIONS)
+    .map(c => ({
+      text: c.text.trim().slice(0, MEME_CAPTION_MAX_LENGTH),
+      position: c.position,
+      x: c.position === 'free' ? clamp(c.x) : 0.5,
+      y: c.position === 'free' ? clamp(c.y) : c.position === 'top' ? 0 : 1
+    }));
+  return parsed.length ? parsed : null;
+}
+
+function createRouter({ pool, storage, images, upload, checkMultipart, storePhoto, removeThumbnails, hasPermission, reactionEmojis }) {
+  const router = express.Router();
+
+  // compteur par emoji (tous les emojis autorisés, même à 0), comme pour les photos
+  function withReactions(meme) {
+    return {
+      ...meme,
+      reactions: reactionEmojis.map(emoji => {
+        const row = meme.reaction_rows.find(r => r.emoji === emoji);
+        return { emoji, count: row ? row.count : 0, mine: row ? row.mine : false };
+      })
+    };
+  }
+
+  const MEME_SELECT_SQL = `
+    SELECT m.id, m.user_id, m.url, m.thumbnails, m.week_key, m.created_at, u.username, u.profile_pic,
+      (SELECT COUNT(*)::int FROM meme_votes v WHERE v.meme_id = m.id) AS votes,
+      COALESCE((
+        SELECT json_agg(json_build_object('emoji', r.emoji, 'count', r.count, 'mine', r.mine))
+        FROM (
+          SELECT emoji, COUNT(*)::int AS count, BOOL_OR(user_id = $1) AS mine
+          FROM meme_reactions WHERE meme_id = m.id GROUP BY emoji
+        ) r
+      ), '[]') AS reaction_rows
+    FROM memes m
+    LEFT JOIN users u ON u.id = m.user_id
+  `;
+
+  async function getSourcePhotos() {
+    const { rows } = await pool.query(
+      'SELECT id, url, thumbnails FROM photos ORDER BY uploaded_at DESC LIMIT $1',
+      [SOURCE_PHOTOS_LIMIT]
+    );
+    return rows;
+  }
+
+  async function renderEditor(req, res, status, error) {
+    res.status(status).render('make-it-meme-new', {
+      user: req.user,
+      photos: await getSourcePhotos(),
+      selectedPhotoId: parseInt(req.query.photo || req.body && req.body.photo_id, 10) || null,
+      maxCaptions: MEME_MAX_CAPTIONS,
+      captionMaxLength: MEME_CAPTION_MAX_LENGTH,
+      error
+    });
+  }
+
+  // image d'origine d'une photo de la galerie (anciennes photos : URL seulement)
+  async function readPhoto(photo) {
+    if (photo.storage_key) return storage.read(photo.storage_key);
+    const res = await fetch(photo.url);
+    if (!res.ok) throw new Error(`Photo ${photo.id} illisible (${res.status})`);
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  // --- Fil des memes ---
+  router.get('/', async (req, res) => {
+    const before = parseInt(req.query.before, 10) || null;
+    try {
+      const { rows } = await pool.query(`
+        ${MEME_SELECT_SQL}
+        WHERE $2::int IS NULL OR m.id < $2
+        ORDER BY m.id DESC
+        LIMIT $3
+      `, [req.user.id, before, MEMES_PAGE_SIZE + 1]);
+      const memes = rows.slice(0, MEMES_PAGE_SIZE).map(withReactions);
+      const nextBefore = rows.length > MEMES_PAGE_SIZE ? memes[memes.length - 1].id : null;
+
+      const { rows: [week] } = await pool.query(`SELECT ${WEEK_KEY_SQL} AS current, ${LAST_WEEK_KEY_SQL} AS last`);
+
+      // classement de la semaine en cours
+      const { rows: standings } = await pool.query(`
+        SELECT m.id, m.url, m.thumbnails, u.username, COUNT(v.user_id)::int AS votes
+        FROM memes m
+        JOIN meme_votes v ON v.meme_id = m.id
+        LEFT JOIN users u ON u.id = m.user_id
+        WHERE m.week_key = $1
+        GROUP BY m.id, u.username
+        ORDER BY votes DESC, MAX(v.created_at)
+        LIMIT 3
+      `, [week.current]);
+
+      // meme de la semaine précédente : le plus de voix, à égalité le premier à les avoir atteintes
+      const { rows: [winner] } = await pool.query(`
+        ${MEME_SELECT_SQL}
+        JOIN meme_votes v ON v.meme_id = m.id
+        WHERE m.week_key = $2
+        GROUP BY m.id, u.username, u.profile_pic
+        ORDER BY COUNT(v.user_id) DESC, MAX(v.created_at)
+        LIMIT 1
+      `, [req.user.id, week.last]);
+
+      const { rows: [myVote] } = await pool.query(
+        'SELECT meme_id FROM meme_votes WHERE week_key = $1 AND user_id = $2',
+        [week.current, req.user.id]
+      );
+
+      res.render('make-it-meme', {
+        user: req.user,
+        memes,
+        nextBefore,
+        currentWeek: week.current,
+        standings,
+        winner: winner ? withReactions(winner) : null,
+        myVoteId: myVote ? myVote.meme_id : null,
+        canDeleteAny: hasPermission(req.user, 'photos.delete')
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  // --- Éditeur ---
+  router.get('/new', async (req, res) => {
+    try {
+      await renderEditor(req, res, 200, null);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  // --- Créer un meme ---
+  router.post('/memes', (req, res, next) => {
+    // erreur multer (format, taille) : on la réaffiche dans l'éditeur
+    upload.single('image')(req, res, err => {
+      if (!err) return next();
+      renderEditor(req, res, 400, err.message).catch(next);
+    });
+  }, checkMultipart, async (req, res) => {
+    const captions = parseCaptions(req.body.captions);
+    const photoId = parseInt(req.body.photo_id, 10) || null;
+
+    try {
+      if (!captions) return await renderEditor(req, res, 400, 'Ajoute au moins une légende.');
+
+      // 1️⃣ Image source : fichier envoyé, sinon photo de la galerie
+      let source = req.file ? req.file.buffer : null;
+      let sourcePhotoId = null;
+      if (!source && photoId) {
+        const { rows: [photo] } = await pool.query('SELECT id, url, storage_key FROM photos WHERE id = $1', [photoId]);
+        if (photo) {
+          source = await readPhoto(photo);
+          sourcePhotoId = photo.id;
+        }
+      }
+      if (!source) return await renderEditor(req, res, 400, 'Choisis une photo de la galerie ou envoie une image.');
+
+      // 2️⃣ Rendu (légendes incrustées), stockage avec les miniatures
+      let rendered;
+      try {
+        rendered = await images.renderMeme(source, captions);
+      } catch (err) {
+        console.warn('Rendu du meme impossible:', err.message);
+        return await renderEditor(req, res, 400, 'Image illisible, essaie avec une autre.');
+      }
+      const stored = await storePhoto(rendered, STORAGE_FOLDER);
+
+      // 3️⃣ Enregistrer le meme (semaine du vote = semaine de création)
+      const { rows: [meme] } = await pool.query(
+        `INSERT INTO memes (user_id, source_photo_id, url, storage_key, thumbnails, captions, week_key)
+         VALUES ($1, $2, $3, $4, $5, $6, ${WEEK_KEY_SQL})
+         RETURNING id`,
+        [req.user.id, sourcePhotoId, stored.url, stored.key, stored.thumbnails, JSON.stringify(captions)]
+      );
+
+      res.redirect(`/make-it-meme#meme-${meme.id}`);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur création meme');
+    }
+  });
+
+  // --- Réagir à un meme ---
+  router.post('/memes/:id/reactions', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const emoji = req.body.emoji;
+    if (!reactionEmojis.includes(emoji)) return res.status(400).send('Réaction inconnue');
+
+    try {
+      const { rowCount: removed } = await pool.query(
+        'DELETE FROM meme_reactions WHERE meme_id = $1 AND user_id = $2 AND emoji = $3',
+        [id, req.user.id, emoji]
+      );
+      if (!removed) {
+        const { rowCount } = await pool.query(
+          `INSERT INTO meme_reactions (meme_id, user_id, emoji)
+           SELECT id, $2, $3 FROM memes WHERE id = $1
+           ON CONFLICT DO NOTHING`,
+          [id, req.user.id, emoji]
+        );
+        if (!rowCount) return res.status(404).send('Meme introuvable');
+      }
+      res.redirect(`/make-it-meme#meme-${id}`);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur réaction');
+    }
+  });
+
+  // --- Voter pour le meme de la semaine (remplace la voix précédente) ---
+  router.post('/memes/:id/vote', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    try {
+      const { rows: [meme] } = await pool.query(
+        `SELECT id, user_id, week_key = ${WEEK_KEY_SQL} AS open FROM memes WHERE id = $1`,
+        [id]
+      );
+      if (!meme) return res.status(404).send('Meme introuvable');
+      if (!meme.open) return res.status(400).send('Le vote de cette semaine est terminé');
+      if (meme.user_id === req.user.id) return res.status(400).send('Impossible de voter pour son propre meme');
+
+      await pool.query(
+        `INSERT INTO meme_votes (week_key, user_id, meme_id)
+         VALUES (${WEEK_KEY_SQL}, $1, $2)
+         ON CONFLICT (week_key, user_id) DO UPDATE SET meme_id = EXCLUDED.meme_id, created_at = NOW()`,
+        [req.user.id, id]
+      );
+      res.redirect(`/make-it-meme#meme-${id}`);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur vote');
+    }
+  });
+
+  // --- Supprimer un meme (et ses fichiers) ---
+  router.post('/memes/:id/delete', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    try {
+      const { rows: [meme] } = await pool.query('SELECT * FROM memes WHERE id = $1', [id]);
+      if (!meme) return res.status(404).send('Meme introuvable');
+      if (meme.user_id !== req.user.id && !hasPermission(req.user, 'photos.delete')) {
+        return res.status(403).send('Accès refusé');
+      }
+
+      await pool.query('DELETE FROM memes WHERE id = $1', [id]);
+      if (meme.storage_key) await storage.remove(meme.storage_key);
+      await removeThumbnails(meme.thumbnails);
+      res.redirect('/make-it-meme');
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur suppression meme');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  slug: 'make-it-meme',
+  name: 'Make It Meme',
+  icon: '/public/images/make-it-meme-logo.jpg',
+  route: '/make-it-meme',
+  status: 'live',
+  roles: [],
+  createRouter
+};
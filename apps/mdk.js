@@ -0,0 +1,12 @@
+/**
+ * MDK : quatrième tuile de l'accueil, pas encore développée (tuile « En chantier », aucune route).
+ */
+
+module.exports = {
+  slug: 'mdk',
+  name: 'MDK',
+  icon: '/public/images/chantier.png',
+  route: null,
+  status: 'construction',
+  roles: []
+};
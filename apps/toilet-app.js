@@ -0,0 +1,132 @@
+/**
+ * Toilet app : quêtes, galerie, classements (page /toilet-app et ses sous-pages).
+ * Les API JSON (/api/photos...) et l'upload restent dans server.js : leurs URL sont
+ * partagées avec le service worker et la file d'envoi hors ligne.
+ */
+
+const express = require('express');
+
+function createRouter({
+  pool, notifications, listPhotos, getTotalPoints, getRewards, getQuestsForUser, getLeaderboard,
+  reactionEmojis, photoNewActivitySql
+}) {
+  const router = express.Router();
+
+  // --- Page de l'app ---
+  router.get('/', async (req, res) => {
+    try {
+      // Photos : première page, la suite est chargée par /api/photos (scroll infini)
+      const { photos, nextCursor: photosCursor } = await listPhotos({}, { viewerId: req.user.id });
+
+      // Filtres de la galerie : auteurs et quêtes ayant au moins une photo
+      const { rows: photoUsers } = await pool.query(`
+        SELECT DISTINCT u.id, u.username FROM photos p JOIN users u ON u.id = p.user_id ORDER BY u.username
+      `);
+      const { rows: photoQuests } = await pool.query(`
+        SELECT DISTINCT q.id, q.title FROM photos p JOIN quests q ON q.id = p.quest_id ORDER BY q.title
+      `);
+
+      // Progression & rewards
+      const totalPoints = await getTotalPoints();
+      const rewards = await getRewards();
+
+      // Quêtes par type (integer IDs), avec l'état propre à l'utilisateur
+      const quests = await getQuestsForUser(req.user.id);
+
+      const dailyQuests   = quests.filter(q => q.type === 1);
+      const specialQuests = quests.filter(q => q.type === 2);
+      const weeklyQuests  = quests.filter(q => q.type === 3);
+
+      // Photos refusées (non encore lues)
+      const { rows: rejections } = await pool.query(`
+        SELECT r.id, r.reason, r.created_at, q.title AS quest_title
+        FROM photo_rejections r
+        LEFT JOIN quests q ON q.id = r.quest_id
+        WHERE r.user_id = $1 AND r.dismissed_at IS NULL
+        ORDER BY r.created_at DESC
+      `, [req.user.id]);
+
+      // Classements
+      const leaderboards = {
+        today: await getLeaderboard('today'),
+        week: await getLeaderboard('week'),
+        all: await getLeaderboard('all')
+      };
+
+      // Nouvelles réactions / commentaires sur les photos de l'utilisateur
+      const { rows: [activity] } = await pool.query(`
+        SELECT COUNT(*)::int AS photos FROM photos p
+        WHERE p.user_id = $1 AND ${photoNewActivitySql} > 0
+      `, [req.user.id]);
+
+      res.render('toilet-app', { 
+        photos, 
+        photosCursor,
+        unreadNotifications: await notifications.unreadCount(req.user.id),
+        photoActivity: activity.photos,
+        reactionEmojis,
+        galleryFilters: { users: photoUsers, quests: photoQuests },
+        user: req.user, 
+        totalPoints, 
+        rewards,
+        dailyQuests,
+        specialQuests,
+        weeklyQuests,
+        leaderboards,
+        rejections
+      });
+
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  // --- Masquer un refus de photo ---
+  router.post('/rejections/:id/dismiss', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    try {
+      await pool.query(
+        'UPDATE photo_rejections SET dismissed_at = NOW() WHERE id = $1 AND user_id = $2',
+        [id, req.user.id]
+      );
+      res.redirect('/toilet-app');
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  // --- Historique personnel des points ---
+  router.get('/history', async (req, res) => {
+    try {
+      const { rows: entries } = await pool.query(`
+        SELECT l.*, COALESCE(q.title, l.label) AS quest_title, p.url AS photo_url
+        FROM points_ledger l
+        LEFT JOIN quests q ON q.id = l.quest_id
+        LEFT JOIN photos p ON p.id = l.photo_id
+        WHERE l.user_id = $1
+        ORDER BY l.created_at DESC
+      `, [req.user.id]);
+
+      const userPoints = entries.reduce((sum, e) => sum + e.points, 0);
+
+      res.render('history', { user: req.user, entries, userPoints });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  slug: 'toilet-app',
+  name: 'Toilet app',
+  icon: '/public/images/toilet.jpg',
+  route: '/toilet-app',
+  status: 'live',
+  roles: [],
+  createRouter
+};
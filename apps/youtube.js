@@ -0,0 +1,260 @@
+/**
+ * File d'attente YouTube partagée : chacun propose des liens, tout le monde vote pour faire
+ * monter ou descendre les vidéos, et l'écran « en cours » (/youtube/now) lit la file.
+ *
+ *   GET  /                    -> file (par score, puis ancienneté), vidéo en cours, dernières lues
+ *   GET  /now                 -> lecteur de la vidéo en cours + suivantes
+ *   POST /videos              -> ajoute un lien (identifiant extrait, métadonnées via videoLookup)
+ *   POST /videos/:id/vote     -> value = up | down ; revoter pareil retire la voix
+ *   POST /videos/:id/remove   -> auteur ou permission videos.manage
+ *   POST /next                -> passe à la vidéo suivante (current = vidéo affichée, anti double clic) ;
+ *                                auteur de la vidéo en cours ou permission videos.manage (lancer une
+ *                                file à l'arrêt reste ouvert à tous)
+ *
+ * Une vidéo qui tombe à VIDEO_REMOVE_SCORE est retirée de la file. Chaque changement est publié
+ * (événement live video_queue) pour rafraîchir les pages ouvertes.
+ */
+
+const express = require('express');
+const { parseVideoId } = require('../youtube');
+
+const VIDEO_REMOVE_SCORE = -3;
+const RECENT_LIMIT = 10;
+const UP_NEXT_LIMIT = 5;
+
+// score = somme des votes ; my_vote = 1, -1 ou null
+const QUEUE_SQL = `
+  SELECT q.*, u.username,
+    COALESCE(SUM(v.value), 0)::int AS score,
+    MAX(v.value) FILTER (WHERE v.user_id = $1) AS my_vote
+  FROM video_queue q
+  LEFT JOIN users u ON u.id = q.added_by
+  LEFT JOIN video_votes v ON v.item_id = q.id
+  WHERE q.status = 'queued'
+  GROUP BY q.id, u.username
+  ORDER BY score DESC, q.created_at, q.id
+`;
+
+function createRouter({ pool, videoLookup, live, hasPermission }) {
+  const router = express.Router();
+
+  // passer la vidéo en cours (playing = null : file à l'arrêt, tout le monde peut la lancer)
+  function canSkip(user, playing) {
+    return !playing || playing.added_by === user.id || hasPermission(user, 'videos.manage');
+  }
+
+  async function getPlaying() {
+    const { rows } = await pool.query(`
+      SELECT q.*, u.username FROM video_queue q
+      LEFT JOIN users u ON u.id = q.added_by
+      WHERE q.status = 'playing'
+    `);
+    return rows[0] || null;
+  }
+
+  async function publishQueue() {
+    const playing = await getPlaying();
+    live.publish('video_queue', { playingId: playing ? playing.id : null });
+  }
+
+  async function getQueue(userId) {
+    const { rows } = await pool.query(QUEUE_SQL, [userId]);
+    return rows;
+  }
+
+  async function renderQueue(req, res, status, error) {
+    const { rows: recent } = await pool.query(`
+      SELECT q.*, u.username FROM video_queue q
+      LEFT JOIN users u ON u.id = q.added_by
+      WHERE q.status = 'played'
+      ORDER BY q.finished_at DESC
+      LIMIT $1
+    `, [RECENT_LIMIT]);
+
+    const playing = await getPlaying();
+    res.status(status).render('youtube', {
+      user: req.user,
+      playing,
+      queue: await getQueue(req.user.id),
+      recent,
+      canManage: hasPermission(req.user, 'videos.manage'),
+      canSkip: canSkip(req.user, playing),
+      videoUrl: (req.body && req.body.url) || '',
+      error
+    });
+  }
+
+  // --- File d'attente ---
+  router.get('/', async (req, res) => {
+    try {
+      await renderQueue(req, res, 200, null);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  // --- En cours (écran du groupe) ---
+  router.get('/now', async (req, res) => {
+    try {
+      const queue = await getQueue(req.user.id);
+      const playing = await getPlaying();
+      res.render('youtube-now', {
+        user: req.user,
+        playing,
+        canSkip: canSkip(req.user, playing),
+        upNext: queue.slice(0, UP_NEXT_LIMIT),
+        queueLength: queue.length
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur serveur');
+    }
+  });
+
+  // --- Proposer une vidéo ---
+  router.post('/videos', async (req, res) => {
+    const youtubeId = parseVideoId(req.body.url);
+    try {
+      if (!youtubeId) return await renderQueue(req, res, 400, "Lien YouTube non reconnu (ex. https://youtu.be/dQw4w9WgXcQ).");
+
+      // métadonnées facultatives : sans elles, la vidéo est ajoutée avec son identifiant
+      let meta = { title: null, channel: null, thumbnailUrl: null };
+      try {
+        meta = await videoLookup(youtubeId);
+      } catch (err) {
+        console.warn(`Métadonnées YouTube indisponibles pour ${youtubeId}:`, err.message);
+      }
+
+      const { rows: [item] } = await pool.query(
+        `INSERT INTO video_queue (youtube_id, title, channel, thumbnail_url, added_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (youtube_id) WHERE status IN ('queued', 'playing') DO NOTHING
+         RETURNING id`,
+        [youtubeId, meta.title, meta.channel, meta.thumbnailUrl, req.user.id]
+      );
+      if (!item) return await renderQueue(req, res, 400, 'Cette vidéo est déjà dans la file.');
+
+      await publishQueue();
+      res.redirect(`/youtube#video-${item.id}`);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur ajout vidéo');
+    }
+  });
+
+  // --- Voter (haut / bas) ---
+  router.post('/videos/:id/vote', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const value = { up: 1, down: -1 }[req.body.value];
+    if (!value) return res.status(400).send('Vote inconnu');
+
+    try {
+      const { rows: [item] } = await pool.query("SELECT id FROM video_queue WHERE id = $1 AND status = 'queued'", [id]);
+      if (!item) return res.status(404).send('Vidéo introuvable dans la file');
+
+      const { rowCount: removed } = await pool.query(
+        'DELETE FROM video_votes WHERE item_id = $1 AND user_id = $2 AND value = $3',
+        [id, req.user.id, value]
+      );
+      if (!removed) {
+        await pool.query(
+          `INSERT INTO video_votes (item_id, user_id, value) VALUES ($1, $2, $3)
+           ON CONFLICT (item_id, user_id) DO UPDATE SET value = EXCLUDED.value, created_at = NOW()`,
+          [id, req.user.id, value]
+        );
+      }
+
+      // trop de votes négatifs : retirée de la file
+      await pool.query(`
+        UPDATE video_queue SET status = 'removed', finished_at = NOW()
+        WHERE id = $1 AND status = 'queued'
+          AND (SELECT COALESCE(SUM(value), 0) FROM video_votes WHERE item_id = $1) <= $2
+      `, [id, VIDEO_REMOVE_SCORE]);
+
+      await publishQueue();
+      res.redirect(`/youtube#video-${id}`);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur vote');
+    }
+  });
+
+  // --- Retirer une vidéo de la file ---
+  router.post('/videos/:id/remove', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    try {
+      const { rows: [item] } = await pool.query("SELECT * FROM video_queue WHERE id = $1 AND status = 'queued'", [id]);
+      if (!item) return res.status(404).send('Vidéo introuvable dans la file');
+      if (item.added_by !== req.user.id && !hasPermission(req.user, 'videos.manage')) {
+        return res.status(403).send('Accès refusé');
+      }
+
+      await pool.query("UPDATE video_queue SET status = 'removed', finished_at = NOW() WHERE id = $1", [id]);
+      await publishQueue();
+      res.redirect('/youtube');
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Erreur retrait vidéo');
+    }
+  });
+
+  // --- Vidéo suivante ---
+  // current : vidéo en cours vue par le client ; si elle a déjà changé (autre clic), rien à faire
+  router.post('/next', async (req, res) => {
+    const current = parseInt(req.body.current, 10) || null;
+    const back = req.body.from === 'now' ? '/youtube/now' : '/youtube';
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // 1️⃣ Vidéo en cours, verrouillée
+      const { rows: [playing] } = await client.query("SELECT id, added_by FROM video_queue WHERE status = 'playing' FOR UPDATE");
+      if ((playing ? playing.id : null) !== current) {
+        await client.query('ROLLBACK');
+        return res.redirect(back);
+      }
+      if (!canSkip(req.user, playing)) {
+        await client.query('ROLLBACK');
+        return res.status(403).send('Accès refusé');
+      }
+
+      // 2️⃣ Terminer la vidéo en cours
+      if (playing) {
+        await client.query("UPDATE video_queue SET status = 'played', finished_at = NOW() WHERE id = $1", [playing.id]);
+      }
+
+      // 3️⃣ Lancer la première de la file
+      const { rows: [next] } = await client.query(`
+        UPDATE video_queue SET status = 'playing', started_at = NOW()
+        WHERE status = 'queued' AND id = (SELECT id FROM (${QUEUE_SQL}) queue LIMIT 1)
+        RETURNING id
+      `, [req.user.id]);
+
+      await client.query('COMMIT');
+      await publishQueue();
+      res.redirect(back);
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      // deux « suivante » simultanés sans vidéo en cours : l'index unique garde la première
+      if (e.code === '23505') return res.redirect(back);
+      console.error(e);
+      res.status(500).send('Erreur vidéo suivante');
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  slug: 'youtube',
+  name: 'YouTube',
+  icon: '/public/images/yt-logo.png',
+  route: '/youtube',
+  status: 'live',
+  roles: [],
+  createRouter
+};
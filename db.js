@@ -0,0 +1,15 @@
+/**
+ * Pool PostgreSQL partagé entre le serveur et le script de migration
+ */
+
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false } // Render Postgres requiert SSL
+});
+
+module.exports = pool;
@@ -0,0 +1,186 @@
+/**
+ * Traitement des photos uploadées, avant stockage :
+ *   - date de prise de vue (EXIF DateTimeOriginal) lue sur l'original
+ *   - HEIC / HEIF (iPhone) convertis, rotation EXIF appliquée aux pixels
+ *   - ré-encodage en WebP sans métadonnées (GPS, appareil... supprimés)
+ *   - miniatures pour la galerie (THUMBNAIL_SIZES, en px de large)
+ * et rendu des memes (Make It Meme) : légendes incrustées dans l'image, et icônes de
+ * récompenses (SVG compris) rastérisées en PNG.
+ */
+
+const sharp = require('sharp');
+const exifr = require('exifr');
+const heicConvert = require('heic-convert');
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+const ACCEPTED_EXTENSIONS = /\.(jpe?g|png|webp|heic|heif)$/i;
+
+const MAX_DIMENSION = 2560; // image pleine taille (lightbox)
+const THUMBNAIL_SIZES = [320, 800];
+
+// certains navigateurs envoient les HEIC en application/octet-stream : on se rabat sur l'extension
+function isAcceptedImage(file) {
+  return ACCEPTED_TYPES.includes(file.mimetype) || ACCEPTED_EXTENSIONS.test(file.originalname || '');
+}
+
+// HEIC : boîte "ftyp" suivie d'une marque heic / heix / mif1...
+function isHeic(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 4, 8) !== 'ftyp') return false;
+  return ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('ascii', 8, 12));
+}
+
+async function readTakenAt(buffer) {
+  try {
+    const tags = await exifr.parse(buffer, ['DateTimeOriginal']);
+    const date = tags && tags.DateTimeOriginal;
+    return date instanceof Date && !isNaN(date) ? date : null;
+  } catch (ex) {
+    console.warn('Impossible de lire EXIF:', ex.message);
+    return null;
+  }
+}
+
+// HEIC -> JPEG (libheif applique déjà la rotation du conteneur), puis rotation EXIF ;
+// sharp ne recopie aucune métadonnée par défaut
+async function decode(buffer) {
+  const source = isHeic(buffer)
+    ? Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }))
+    : buffer;
+  return sharp(source, { failOn: 'truncated' }).rotate();
+}
+
+async function makeThumbnails(image) {
+  return Promise.all(THUMBNAIL_SIZES.map(async size => ({
+    size,
+    buffer: await image.clone()
+      .resize({ width: size, withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer()
+  })));
+}
+
+async function processUpload(buffer) {
+  // 1️⃣ Lire la date avant de jeter les métadonnées
+  const takenAt = await readTakenAt(buffer);
+
+  // 2️⃣ HEIC, rotation EXIF
+  const oriented = await decode(buffer);
+
+  // 3️⃣ Redimensionnement
+  const image = await oriented.clone()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 85 })
+    .toBuffer();
+
+  // 4️⃣ Miniatures
+  const thumbnails = await makeThumbnails(oriented);
+
+  return { takenAt, image, thumbnails, contentType: 'image/webp' };
+}
+
+// --- Memes ---
+// légende : { text, position: 'top' | 'bottom' | 'free', x, y } ; x / y (0 à 1) = centre du
+// texte pour 'free'. Texte en majuscules blanches cerclées de noir, découpé en lignes.
+const MEME_MAX_DIMENSION = 1200;
+const MEME_FONT = "Impact, 'Anton', 'Archivo Black', 'DejaVu Sans', sans-serif";
+const MEME_CHAR_WIDTH = 0.7; // largeur moyenne d'une majuscule grasse, en em (estimation)
+const MEME_MAX_LINES = 3;
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// découpe en lignes de `maxChars` caractères au plus (mot trop long : coupé)
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(/\s+/).filter(Boolean)) {
+    while (word.length > maxChars) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxChars) line += ' ' + word;
+    else { lines.push(line); line = word; }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// plus grande taille de police (<= base) pour laquelle le texte tient en MEME_MAX_LINES lignes
+function fitCaption(text, maxWidth, baseSize) {
+  let size = baseSize;
+  let lines = wrapText(text, Math.max(1, Math.floor(maxWidth / (size * MEME_CHAR_WIDTH))));
+  while (lines.length > MEME_MAX_LINES && size > baseSize / 3) {
+    size = Math.floor(size * 0.85);
+    lines = wrapText(text, Math.max(1, Math.floor(maxWidth / (size * MEME_CHAR_WIDTH))));
+  }
+  return { size, lines };
+}
+
+function captionSvg(caption, width, height) {
+  const margin = Math.round(height * 0.03);
+  const free = caption.position === 'free';
+  const { size, lines } = fitCaption(
+    caption.text.toLocaleUpperCase('fr-FR'),
+    width * (free ? 0.8 : 0.94),
+    Math.round(Math.min(width, height) * (free ? 0.08 : 0.1))
+  );
+  const lineHeight = Math.round(size * 1.1);
+  const blockHeight = lineHeight * lines.length;
+
+  // ordonnée de la première ligne (ligne de base)
+  const top = caption.position === 'top' ? margin
+    : caption.position === 'bottom' ? height - margin - blockHeight
+    : Math.min(Math.max(caption.y * height - blockHeight / 2, 0), height - blockHeight);
+  const x = free ? Math.round(caption.x * width) : Math.round(width / 2);
+
+  return lines.map((line, i) => `
+    <text x="${x}" y="${Math.round(top + lineHeight * i + size * 0.9)}" font-size="${size}"
+      stroke-width="${Math.max(2, Math.round(size / 12))}">${escapeXml(line)}</text>`).join('');
+}
+
+async function renderMeme(buffer, captions) {
+  // 1️⃣ Image source (HEIC, rotation), à la taille du meme
+  const { data, info } = await (await decode(buffer))
+    .resize({ width: MEME_MAX_DIMENSION, height: MEME_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // 2️⃣ Légendes en SVG de même taille, incrustées
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${info.width}" height="${info.height}">
+    <g font-family="${MEME_FONT}" font-weight="bold" text-anchor="middle" fill="#ffffff"
+      stroke="#000000" stroke-linejoin="round" paint-order="stroke">
+      ${captions.map(c => captionSvg(c, info.width, info.height)).join('')}
+    </g>
+  </svg>`;
+  // (pixels bruts : les miniatures sont redimensionnées après l'incrustation, sans ré-encodage)
+  const composed = await sharp(data, { raw: info })
+    .composite([{ input: Buffer.from(svg) }])
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const meme = sharp(composed.data, { raw: composed.info });
+
+  // 3️⃣ WebP + miniatures, comme les photos de la galerie
+  const image = await meme.clone().webp({ quality: 85 }).toBuffer();
+  const thumbnails = await makeThumbnails(meme);
+
+  return { image, thumbnails, contentType: 'image/webp', width: info.width, height: info.height };
+}
+
+// --- Icônes de récompenses ---
+// Un SVG servi tel quel depuis notre origine peut exécuter du script : tout est rastérisé en PNG
+// (transparence conservée). density : les SVG à petit viewBox sont rendus nets avant réduction.
+const ICON_SIZE = 256;
+
+async function renderIcon(buffer) {
+  const image = await sharp(buffer, { failOn: 'truncated', density: 300 })
+    .rotate()
+    .resize({ width: ICON_SIZE, height: ICON_SIZE, fit: 'inside' })
+    .png()
+    .toBuffer();
+  return { image, contentType: 'image/png' };
+}
+
+module.exports = { ACCEPTED_TYPES, THUMBNAIL_SIZES, isAcceptedImage, processUpload, renderMeme, renderIcon };
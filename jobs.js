@@ -0,0 +1,151 @@
+/**
+ * Tâches planifiées (node-cron, fuseau horaire commun) + historique des exécutions (table job_runs).
+ *
+ *   define(name, { label, when, schedule, run, catchUp })
+ *                                                 -> run() peut renvoyer un résumé (objet JSON)
+ *   start()                                       -> programme toutes les tâches déclarées et
+ *                                                    rattrape celles dont le passage a été manqué
+ *   runNow(name, { trigger, triggeredBy })        -> exécution immédiate, enregistrée dans job_runs
+ *   has(name) / isRunning(name) / list() / history({ limit })
+ *
+ * Une tâche ne tourne jamais deux fois en même temps : une exécution demandée pendant
+ * qu'elle tourne est refusée. Un seul processus Node (les crons ne sont pas partagés).
+ *
+ * catchUp ('day' | 'week') : serveur endormi ou redémarré au moment du cron (Render), la tâche est
+ * lancée au démarrage si elle n'a pas réussi depuis le début du jour / de la semaine (fuseau commun).
+ * Elle doit donc supporter d'être relancée (cf. rotation.apply).
+ */
+
+const cron = require('node-cron');
+
+const JOB_RUNS_RETENTION_DAYS = 90;
+const CATCH_UP_UNITS = ['day', 'week'];
+
+function createScheduler({ pool, timezone }) {
+  const jobs = new Map();
+  const running = new Set();
+
+  function define(name, { label, when, schedule, run, catchUp = null }) {
+    if (!cron.validate(schedule)) throw new Error(`Expression cron invalide pour ${name} : ${schedule}`);
+    if (catchUp && !CATCH_UP_UNITS.includes(catchUp)) throw new Error(`Rattrapage inconnu pour ${name} : ${catchUp}`);
+    jobs.set(name, { name, label, when, schedule, run, catchUp });
+  }
+
+  function has(name) {
+    return jobs.has(name);
+  }
+
+  function isRunning(name) {
+    return running.has(name);
+  }
+
+  // trigger : schedule (cron) | manual (bouton admin) | catch_up (passage manqué, cf. start)
+  async function runNow(name, { trigger = 'manual', triggeredBy = null } = {}) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Tâche inconnue : ${name}`);
+    if (running.has(name)) throw new Error(`Tâche déjà en cours : ${name}`);
+
+    running.add(name);
+    try {
+      const { rows: [run] } = await pool.query(
+        'INSERT INTO job_runs (job, trigger, triggered_by) VALUES ($1, $2, $3) RETURNING id',
+        [name, trigger, triggeredBy]
+      );
+
+      const startedAt = Date.now();
+      let status = 'success';
+      let result = null;
+      let error = null;
+      try {
+        result = (await job.run()) || null;
+      } catch (err) {
+        status = 'failed';
+        error = err.message || String(err);
+        console.error(`Tâche ${name} en échec:`, err);
+      }
+
+      await pool.query(
+        `UPDATE job_runs
+         SET status = $2, result = $3, error = $4, finished_at = NOW(), duration_ms = $5
+         WHERE id = $1`,
+        [run.id, status, result, error, Date.now() - startedAt]
+      );
+      await pool.query(
+        `DELETE FROM job_runs WHERE job = $1 AND started_at < NOW() - make_interval(days => $2::int)`,
+        [name, JOB_RUNS_RETENTION_DAYS]
+      );
+      return { status, result, error };
+    } finally {
+      running.delete(name);
+    }
+  }
+
+  async function start() {
+    // exécutions coupées par un redémarrage du serveur
+    await pool.query(`
+      UPDATE job_runs SET status = 'failed', error = 'Interrompue (redémarrage du serveur)', finished_at = NOW()
+      WHERE status = 'running'
+    `);
+
+    for (const job of jobs.values()) {
+      cron.schedule(job.schedule, () => {
+        runNow(job.name, { trigger: 'schedule' }).catch(err => console.error(`Tâche ${job.name}:`, err.message));
+      }, { timezone, name: job.name });
+    }
+
+    // rattrapage en arrière-plan : le serveur démarre sans attendre
+    catchUp().catch(err => console.error('Rattrapage des tâches:', err.message));
+  }
+
+  async function catchUp() {
+    for (const job of jobs.values()) {
+      if (!job.catchUp) continue;
+      const { rowCount: upToDate } = await pool.query(`
+        SELECT 1 FROM job_runs
+        WHERE job = $1 AND status = 'success'
+          AND started_at >= date_trunc($2::text, NOW() AT TIME ZONE $3::text) AT TIME ZONE $3::text
+        LIMIT 1
+      `, [job.name, job.catchUp, timezone]);
+      if (upToDate || running.has(job.name)) continue;
+
+      console.log(`⏰ Tâche ${job.name} manquée : rattrapage`);
+      await runNow(job.name, { trigger: 'catch_up' });
+    }
+  }
+
+  // une ligne par tâche : dernière exécution, dernier succès, échecs des 7 derniers jours
+  async function list() {
+    const names = [...jobs.keys()];
+    const { rows } = await pool.query(`
+      SELECT j.job, last.status, last.trigger, last.started_at, last.duration_ms, last.error,
+        (SELECT MAX(r.started_at) FROM job_runs r WHERE r.job = j.job AND r.status = 'success') AS last_success_at,
+        (SELECT COUNT(*) FROM job_runs r
+         WHERE r.job = j.job AND r.status = 'failed' AND r.started_at > NOW() - INTERVAL '7 days')::int AS failures
+      FROM unnest($1::text[]) AS j(job)
+      LEFT JOIN LATERAL (
+        SELECT * FROM job_runs r WHERE r.job = j.job ORDER BY r.started_at DESC LIMIT 1
+      ) last ON TRUE
+    `, [names]);
+
+    return names.map(name => {
+      const { label, when, schedule } = jobs.get(name);
+      const row = rows.find(r => r.job === name);
+      return { name, label, when, schedule, running: running.has(name), ...row };
+    });
+  }
+
+  async function history({ limit = 50 } = {}) {
+    const { rows } = await pool.query(`
+      SELECT r.*, u.username AS triggered_by_username
+      FROM job_runs r
+      LEFT JOIN users u ON u.id = r.triggered_by
+      ORDER BY r.started_at DESC, r.id DESC
+      LIMIT $1
+    `, [limit]);
+    return rows.map(row => ({ ...row, label: jobs.has(row.job) ? jobs.get(row.job).label : row.job }));
+  }
+
+  return { define, start, runNow, has, isRunning, list, history };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,68 @@
+/**
+ * Canal temps réel vers les pages ouvertes (Server-Sent Events, GET /api/events).
+ *
+ *   connect(req, res, user)             -> garde la réponse ouverte jusqu'à la déconnexion
+ *   publish(event, data, { filter })    -> envoi à tous les clients connectés,
+ *                                          ou seulement à ceux dont filter(user) est vrai
+ *   disconnect(filter)                  -> ferme les flux dont filter(user) est vrai
+ *
+ * L'utilisateur est celui de la connexion : session révoquée, rôle ou mot de passe modifié,
+ * le serveur appelle disconnect() pour que la page se reconnecte (ou non) avec son état actuel.
+ *
+ * Événements : photo_approved, progress, quest_reset, pending_created, pending_resolved, video_queue.
+ * Les clients sont gardés en mémoire : un seul processus Node (sinon passer par LISTEN/NOTIFY).
+ */
+
+const LIVE_EVENTS = ['photo_approved', 'progress', 'quest_reset', 'pending_created', 'pending_resolved', 'video_queue'];
+
+const HEARTBEAT_MS = 25 * 1000; // les proxys coupent les connexions muettes
+const RETRY_MS = 5 * 1000;      // délai de reconnexion conseillé à EventSource
+
+function createLive() {
+  const clients = new Set();
+
+  function connect(req, res, user) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const client = {
+      res,
+      user,
+      close() {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      }
+    };
+    clients.add(client);
+    req.on('close', client.close);
+  }
+
+  function publish(event, data, { filter = null } = {}) {
+    if (!LIVE_EVENTS.includes(event)) throw new Error(`Événement temps réel inconnu : ${event}`);
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    for (const client of clients) {
+      if (filter && !filter(client.user)) continue;
+      client.res.write(message);
+    }
+  }
+
+  function disconnect(filter) {
+    for (const client of clients) {
+      if (!filter(client.user)) continue;
+      client.close();
+      client.res.end();
+    }
+  }
+
+  return { connect, publish, disconnect, get size() { return clients.size; } };
+}
+
+module.exports = { LIVE_EVENTS, createLive };
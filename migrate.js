@@ -0,0 +1,173 @@
+/**
+ * Migrations versionnées de la base
+ * - fichiers numérotés dans migrations/ (NNN_nom.js), appliqués dans l'ordre
+ * - chaque fichier exporte { description, up(client) } et s'exécute dans sa propre transaction
+ * - table schema_migrations : migrations appliquées + checksum du fichier
+ *
+ * Usage :
+ *   node migrate.js           applique les migrations en attente
+ *   node migrate.js status    état + SQL que les migrations en attente exécuteraient (dry-run)
+ *   node migrate.js check     code de sortie 1 s'il reste des migrations en attente
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_ID = 7302001; // pg_advisory_lock : une seule instance migre à la fois
+
+// --- Helper: liste ordonnée des fichiers de migration ---
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const fullPath = path.join(MIGRATIONS_DIR, file);
+      const { description, up } = require(fullPath);
+      if (typeof up !== 'function') throw new Error(`Migration ${file} : fonction up() manquante`);
+      return {
+        id: file.replace(/\.js$/, ''),
+        description: description || '',
+        up,
+        checksum: crypto.createHash('sha1').update(fs.readFileSync(fullPath)).digest('hex')
+      };
+    });
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      description TEXT,
+      checksum TEXT,
+      duration_ms INTEGER,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+}
+
+// --- Helper: migrations appliquées / en attente / modifiées depuis leur application ---
+async function getStatus(db) {
+  const migrations = loadMigrations();
+  const { rows: applied } = await db.query('SELECT * FROM schema_migrations ORDER BY id');
+  const appliedById = new Map(applied.map(row => [row.id, row]));
+
+  return {
+    applied,
+    pending: migrations.filter(m => !appliedById.has(m.id)),
+    changed: migrations.filter(m => appliedById.has(m.id) && appliedById.get(m.id).checksum !== m.checksum)
+  };
+}
+
+// --- Appliquer les migrations en attente (appelé au démarrage du serveur) ---
+async function runMigrations(pool, { log = console.log } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const { pending, changed } = await getStatus(client);
+    changed.forEach(m => log(`⚠️ Migration ${m.id} modifiée depuis son application`));
+
+    for (const m of pending) {
+      const start = Date.now();
+      try {
+        await client.query('BEGIN');
+        await m.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (id, description, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+          [m.id, m.description, m.checksum, Date.now() - start]
+        );
+        await client.query('COMMIT');
+        log(`✅ Migration ${m.id} appliquée (${Date.now() - start} ms)`);
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        err.message = `Migration ${m.id} échouée : ${err.message}`;
+        throw err;
+      }
+    }
+
+    if (pending.length === 0) log('✅ Base à jour, aucune migration en attente');
+    return pending.map(m => m.id);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// --- Dry-run : exécute les migrations en attente dans une transaction annulée et relève le SQL ---
+async function planMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await ensureMigrationsTable(client);
+    const status = await getStatus(client);
+
+    const plan = [];
+    for (const m of status.pending) {
+      const statements = [];
+      const recorder = {
+        query: (text, params) => {
+          statements.push({ text: String(text).trim(), params });
+          return client.query(text, params);
+        }
+      };
+      await m.up(recorder);
+      plan.push({ id: m.id, description: m.description, statements });
+    }
+    return { ...status, plan };
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { runMigrations, planMigrations, getStatus, loadMigrations };
+
+// --- CLI ---
+if (require.main === module) {
+  const pool = require('./db');
+  const command = process.argv[2] || 'up';
+
+  (async () => {
+    if (command === 'up') {
+      await runMigrations(pool);
+    } else if (command === 'status') {
+      const { applied, changed, plan } = await planMigrations(pool);
+      console.log(`Migrations appliquées (${applied.length}) :`);
+      applied.forEach(m => console.log(`  ✔ ${m.id} — ${new Date(m.applied_at).toISOString()}`));
+      changed.forEach(m => console.log(`  ⚠️ ${m.id} modifiée depuis son application`));
+      console.log(`Migrations en attente (${plan.length}) :`);
+      plan.forEach(m => {
+        console.log(`\n  • ${m.id} — ${m.description}`);
+        m.statements.forEach(st => {
+          console.log(`    ${st.text.replace(/\s+/g, ' ')}`);
+          if (st.params && st.params.length) console.log(`      params: ${JSON.stringify(st.params)}`);
+        });
+      });
+    } else if (command === 'check') {
+      const client = await pool.connect();
+      try {
+        await ensureMigrationsTable(client);
+        const { pending } = await getStatus(client);
+        if (pending.length) {
+          console.log(`❌ ${pending.length} migration(s) en attente : ${pending.map(m => m.id).join(', ')}`);
+          process.exitCode = 1;
+        } else {
+          console.log('✅ Base à jour');
+        }
+      } finally {
+        client.release();
+      }
+    } else {
+      console.log('Usage : node migrate.js [up|status|check]');
+      process.exitCode = 1;
+    }
+  })()
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,84 @@
+// Schéma d'origine (ex-initDb). IF NOT EXISTS : sans effet sur une base déjà en production.
+module.exports = {
+  description: 'Schéma initial : users, photos, pending_photos, quests, global_progress, rewards, system_status',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        devices TEXT[],
+        profile_pic TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS photos (
+        id SERIAL PRIMARY KEY,
+        filename VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        taken_at TIMESTAMPTZ,
+        uploaded_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pending_photos (
+        id SERIAL PRIMARY KEY,
+        filename VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        device_token TEXT,
+        quest_id INTEGER,
+        taken_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    // type : 1 = journalière, 2 = spéciale, 3 = hebdomadaire
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quests (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        type INTEGER,
+        points INTEGER DEFAULT 0,
+        start_at TIMESTAMPTZ,
+        end_at TIMESTAMPTZ,
+        active BOOLEAN DEFAULT TRUE,
+        completed BOOLEAN DEFAULT FALSE
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS global_progress (
+        id SERIAL PRIMARY KEY,
+        points INTEGER DEFAULT 0
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rewards (
+        id SERIAL PRIMARY KEY,
+        points_required INTEGER,
+        description TEXT
+      );
+    `);
+
+    // date du dernier reset quotidien
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS system_status (
+        id INTEGER PRIMARY KEY,
+        last_daily_reset DATE
+      );
+    `);
+    await client.query(`
+      INSERT INTO system_status (id, last_daily_reset)
+      VALUES (1, NULL)
+      ON CONFLICT (id) DO NOTHING
+    `);
+  }
+};
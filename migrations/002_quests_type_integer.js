@@ -0,0 +1,14 @@
+// initDb déclarait quests.type en TEXT alors que tout le code compare à des entiers (type = 3)
+module.exports = {
+  description: 'quests.type : TEXT -> INTEGER',
+
+  async up(client) {
+    const { rows } = await client.query(`
+      SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'quests' AND column_name = 'type'
+    `);
+    if (rows[0] && rows[0].data_type === 'text') {
+      await client.query(`ALTER TABLE quests ALTER COLUMN type TYPE INTEGER USING NULLIF(type, '')::integer`);
+    }
+  }
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  description: 'Ledger des points par utilisateur (le total global devient la somme du ledger)',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS points_ledger (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        quest_id INTEGER REFERENCES quests(id) ON DELETE SET NULL,
+        photo_id INTEGER REFERENCES photos(id) ON DELETE SET NULL,
+        points INTEGER NOT NULL,
+        label TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS points_ledger_user_idx ON points_ledger (user_id, created_at)');
+
+    // reprise des points déjà cumulés dans global_progress (ledger vide uniquement)
+    await client.query(`
+      INSERT INTO points_ledger (user_id, points, label)
+      SELECT NULL, points, 'Points historiques'
+      FROM global_progress
+      WHERE id = 1 AND points > 0
+        AND NOT EXISTS (SELECT 1 FROM points_ledger)
+    `);
+  }
+};
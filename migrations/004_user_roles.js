@@ -0,0 +1,7 @@
+module.exports = {
+  description: 'Rôle des utilisateurs (admin, moderator, member)',
+
+  async up(client) {
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'member'`);
+  }
+};
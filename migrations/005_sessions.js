@@ -0,0 +1,29 @@
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 90; // même réglage que server.js
+
+module.exports = {
+  description: 'Sessions par appareil (remplace users.devices)',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token TEXT UNIQUE NOT NULL,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ
+      );
+    `);
+
+    // reprise des anciens devices en sessions (durée SESSION_TTL_DAYS, comme server.js), puis on vide le tableau
+    await client.query(`
+      INSERT INTO sessions (user_id, token, expires_at)
+      SELECT u.id, d.token, NOW() + $1 * INTERVAL '1 day'
+      FROM users u, unnest(u.devices) AS d(token)
+      ON CONFLICT (token) DO NOTHING
+    `, [SESSION_TTL_DAYS]);
+    await client.query(`UPDATE users SET devices = '{}' WHERE cardinality(devices) > 0`);
+  }
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  description: 'Journal des tentatives de connexion (throttling + audit)',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        username TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        success BOOLEAN NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS login_attempts_username_idx ON login_attempts (username, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON login_attempts (ip, created_at)');
+  }
+};
@@ -0,0 +1,32 @@
+const bcrypt = require('bcrypt');
+
+module.exports = {
+  description: 'Changement de mot de passe obligatoire + codes de réinitialisation',
+
+  async up(client) {
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE`);
+    await client.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ`);
+
+    // comptes historiques dont le mot de passe est encore le prénom (cf. hashed-paswords.js)
+    const { rows } = await client.query(
+      `SELECT id, username, password_hash FROM users WHERE password_changed_at IS NULL AND must_change_password = FALSE`
+    );
+    for (const u of rows) {
+      if (await bcrypt.compare(u.username, u.password_hash)) {
+        await client.query('UPDATE users SET must_change_password = TRUE WHERE id = $1', [u.id]);
+      }
+    }
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT UNIQUE NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ
+      );
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+module.exports = {
+  description: 'Jours de récurrence des quêtes journalières ; `active` devient un interrupteur manuel',
+
+  async up(client) {
+    // ISO : 1 = lundi ... 7 = dimanche, NULL = tous les jours
+    const { rowCount: hasWeekdays } = await client.query(`
+      SELECT 1 FROM information_schema.columns WHERE table_name = 'quests' AND column_name = 'weekdays'
+    `);
+    if (!hasWeekdays) {
+      await client.query('ALTER TABLE quests ADD COLUMN weekdays SMALLINT[]');
+      // `active` n'est plus piloté par les dates des quêtes hebdo : on réactive celles désactivées automatiquement
+      await client.query('UPDATE quests SET active = TRUE WHERE type = 3');
+    }
+  }
+};
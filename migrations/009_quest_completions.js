@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Complétion des quêtes par utilisateur et par période',
+
+  async up(client) {
+    // 'everyone' (chacun peut valider) ou 'first' (le premier validé l'emporte)
+    await client.query(`ALTER TABLE quests ADD COLUMN IF NOT EXISTS completion_mode TEXT NOT NULL DEFAULT 'everyone'`);
+
+    // période (jour / semaine ISO, heure de Paris) à laquelle une soumission se rattache
+    await client.query('ALTER TABLE pending_photos ADD COLUMN IF NOT EXISTS period_key TEXT');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quest_completions (
+        id SERIAL PRIMARY KEY,
+        quest_id INTEGER REFERENCES quests(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        period_key TEXT NOT NULL,
+        photo_id INTEGER REFERENCES photos(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (quest_id, user_id, period_key)
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS quest_completions_period_idx ON quest_completions (quest_id, period_key)');
+  }
+};
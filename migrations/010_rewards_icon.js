@@ -0,0 +1,8 @@
+module.exports = {
+  description: 'Icône des récompenses (rewards.svg, lue par /toilet-app mais jamais créée)',
+
+  async up(client) {
+    await client.query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS svg TEXT');
+    await client.query('ALTER TABLE rewards ADD COLUMN IF NOT EXISTS svg_public_id TEXT');
+  }
+};
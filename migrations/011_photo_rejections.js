@@ -0,0 +1,19 @@
+module.exports = {
+  description: 'Refus de photos avec raison, affichés à l\'uploader',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS photo_rejections (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        quest_id INTEGER REFERENCES quests(id) ON DELETE SET NULL,
+        reason TEXT,
+        rejected_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        submitted_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        dismissed_at TIMESTAMPTZ
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS photo_rejections_user_idx ON photo_rejections (user_id, dismissed_at)');
+  }
+};
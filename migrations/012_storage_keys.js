@@ -0,0 +1,19 @@
+module.exports = {
+  description: 'Clé de stockage (driver Cloudinary ou local) sur photos, pending_photos et rewards',
+
+  async up(client) {
+    await client.query('ALTER TABLE photos ADD COLUMN IF NOT EXISTS storage_key TEXT');
+    await client.query('ALTER TABLE pending_photos ADD COLUMN IF NOT EXISTS storage_key TEXT');
+
+    // reprise : public_id Cloudinary lu dans l'URL (.../upload/v123/<dossier>/<nom>.<ext>)
+    for (const table of ['photos', 'pending_photos']) {
+      await client.query(`
+        UPDATE ${table}
+        SET storage_key = substring(url from '/upload/(?:v[0-9]+/)?(.+)\\.[A-Za-z0-9]+$')
+        WHERE storage_key IS NULL
+      `);
+    }
+
+    await client.query('ALTER TABLE rewards RENAME COLUMN svg_public_id TO svg_storage_key');
+  }
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  description: 'Miniatures des photos (clé + URL par largeur) sur photos et pending_photos',
+
+  async up(client) {
+    // { "320": { "key": "...", "url": "..." }, "800": { ... } } ; NULL pour les photos d'avant
+    await client.query('ALTER TABLE photos ADD COLUMN IF NOT EXISTS thumbnails JSONB');
+    await client.query('ALTER TABLE pending_photos ADD COLUMN IF NOT EXISTS thumbnails JSONB');
+  }
+};
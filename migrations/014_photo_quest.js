@@ -0,0 +1,22 @@
+module.exports = {
+  description: 'Quête associée à chaque photo de la galerie + index de pagination',
+
+  async up(client) {
+    await client.query('ALTER TABLE photos ADD COLUMN IF NOT EXISTS quest_id INTEGER REFERENCES quests(id) ON DELETE SET NULL');
+
+    // reprise : le lien photo -> quête n'existait que via les complétions et le ledger
+    await client.query(`
+      UPDATE photos p SET quest_id = src.quest_id
+      FROM (
+        SELECT photo_id, quest_id FROM quest_completions WHERE photo_id IS NOT NULL
+        UNION
+        SELECT photo_id, quest_id FROM points_ledger WHERE photo_id IS NOT NULL AND quest_id IS NOT NULL
+      ) src
+      WHERE src.photo_id = p.id AND p.quest_id IS NULL
+    `);
+
+    // galerie triée par date affichée (prise de vue, sinon upload) puis id
+    await client.query('CREATE INDEX IF NOT EXISTS photos_gallery_idx ON photos ((COALESCE(taken_at, uploaded_at)) DESC, id DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS photos_quest_idx ON photos (quest_id)');
+  }
+};
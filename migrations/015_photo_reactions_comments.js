@@ -0,0 +1,31 @@
+module.exports = {
+  description: 'Réactions emoji et commentaires (en fil) sur les photos de la galerie',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS photo_reactions (
+        photo_id INTEGER REFERENCES photos(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        emoji TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (photo_id, user_id, emoji)
+      );
+    `);
+
+    // parent_id : réponse à un autre commentaire (supprimer un commentaire supprime ses réponses)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS photo_comments (
+        id SERIAL PRIMARY KEY,
+        photo_id INTEGER REFERENCES photos(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        parent_id INTEGER REFERENCES photo_comments(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS photo_comments_photo_idx ON photo_comments (photo_id, created_at)');
+
+    // dernière consultation de sa photo par l'uploader (activité "nouvelle" = postérieure)
+    await client.query('ALTER TABLE photos ADD COLUMN IF NOT EXISTS owner_seen_at TIMESTAMPTZ');
+  }
+};
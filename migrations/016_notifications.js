@@ -0,0 +1,22 @@
+module.exports = {
+  description: 'Notifications in-app (modération, nouvelles quêtes, récompenses, commentaires)',
+
+  async up(client) {
+    // type : clé de NOTIFICATION_TYPES (notifications.js) ; link : page à ouvrir au clic
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT,
+        link TEXT,
+        data JSONB,
+        read_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS notifications_user_idx ON notifications (user_id, created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (user_id) WHERE read_at IS NULL');
+  }
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  description: 'Web Push : abonnements par appareil et préférences par catégorie',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        endpoint TEXT NOT NULL UNIQUE,
+        p256dh TEXT NOT NULL,
+        auth TEXT NOT NULL,
+        user_agent TEXT,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS push_subscriptions_user_idx ON push_subscriptions (user_id)');
+
+    // une ligne par catégorie modifiée (cf. PUSH_CATEGORIES dans push.js) ; absente = activée
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS push_preferences (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        category TEXT NOT NULL,
+        enabled BOOLEAN NOT NULL,
+        PRIMARY KEY (user_id, category)
+      );
+    `);
+  }
+};
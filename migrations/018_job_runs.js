@@ -0,0 +1,22 @@
+module.exports = {
+  description: 'Historique des tâches planifiées (cf. jobs.js) : durée, statut, erreur, déclencheur',
+
+  async up(client) {
+    // status : running | success | failed ; trigger : schedule (cron) | manual (bouton admin)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,
+        job TEXT NOT NULL,
+        trigger TEXT NOT NULL DEFAULT 'schedule',
+        triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        result JSONB,
+        error TEXT,
+        duration_ms INTEGER,
+        started_at TIMESTAMPTZ DEFAULT NOW(),
+        finished_at TIMESTAMPTZ
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS job_runs_job_idx ON job_runs (job, started_at DESC)');
+  }
+};
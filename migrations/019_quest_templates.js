@@ -0,0 +1,41 @@
+module.exports = {
+  description: 'Bibliothèque de modèles de quêtes et rotation automatique (journalières / hebdomadaires)',
+
+  async up(client) {
+    // type : 1 = journalière, 3 = hebdomadaire (comme quests.type)
+    // next_action : 'pin' (forcé) ou 'skip' (écarté) pour la prochaine rotation de son type
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quest_templates (
+        id SERIAL PRIMARY KEY,
+        type INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        points INTEGER DEFAULT 0,
+        completion_mode TEXT NOT NULL DEFAULT 'everyone',
+        weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        cooldown_days INTEGER NOT NULL DEFAULT 7 CHECK (cooldown_days >= 0),
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        next_action TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    // une ligne par modèle tiré pour une période (jour / semaine ISO, heure de Paris) :
+    // applied_at NULL = tirage à venir, sinon la quête créée est quest_id
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quest_rotations (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER NOT NULL REFERENCES quest_templates(id) ON DELETE CASCADE,
+        type INTEGER NOT NULL,
+        period_key TEXT NOT NULL,
+        period_start DATE NOT NULL,
+        quest_id INTEGER REFERENCES quests(id) ON DELETE SET NULL,
+        applied_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (template_id, period_key)
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS quest_rotations_period_idx ON quest_rotations (type, period_key)');
+  }
+};
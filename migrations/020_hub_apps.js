@@ -0,0 +1,24 @@
+module.exports = {
+  description: 'Apps du hub (cf. apps/) : activation et accès réglés par l\'admin',
+
+  async up(client) {
+    // une ligne par app déclarée dans apps/ (créée au démarrage) ; roles vide = tous les connectés
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hub_apps (
+        slug TEXT PRIMARY KEY,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        roles TEXT[] NOT NULL DEFAULT '{}',
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+
+    // utilisateurs autorisés en plus des rôles
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hub_app_users (
+        slug TEXT NOT NULL REFERENCES hub_apps(slug) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY (slug, user_id)
+      );
+    `);
+  }
+};
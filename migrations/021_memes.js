@@ -0,0 +1,43 @@
+module.exports = {
+  description: 'Make It Meme : memes (image rendue + légendes), réactions et vote du meilleur meme de la semaine',
+
+  async up(client) {
+    // week_key : semaine ISO de création, heure de Paris ('IYYY-"W"IW') = semaine du vote
+    // captions : [{ text, position, x, y }] ayant servi au rendu ; source_photo_id : photo de la galerie reprise
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS memes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        source_photo_id INTEGER REFERENCES photos(id) ON DELETE SET NULL,
+        url TEXT NOT NULL,
+        storage_key TEXT,
+        thumbnails JSONB,
+        captions JSONB NOT NULL DEFAULT '[]',
+        week_key TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS memes_week_idx ON memes (week_key)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meme_reactions (
+        meme_id INTEGER REFERENCES memes(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        emoji TEXT NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (meme_id, user_id, emoji)
+      );
+    `);
+
+    // une voix par utilisateur et par semaine (modifiable jusqu'à la fin de la semaine)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS meme_votes (
+        week_key TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        meme_id INTEGER NOT NULL REFERENCES memes(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (week_key, user_id)
+      );
+    `);
+  }
+};
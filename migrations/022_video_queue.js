@@ -0,0 +1,37 @@
+module.exports = {
+  description: 'File d\'attente YouTube partagée : vidéos proposées, votes, lecture en cours',
+
+  async up(client) {
+    // status : queued (en attente) | playing (en cours, une seule) | played | removed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS video_queue (
+        id SERIAL PRIMARY KEY,
+        youtube_id TEXT NOT NULL,
+        title TEXT,
+        channel TEXT,
+        thumbnail_url TEXT,
+        added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ
+      );
+    `);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS video_queue_playing_idx ON video_queue ((TRUE)) WHERE status = 'playing'`);
+    // une même vidéo n'est qu'une fois dans la file
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS video_queue_waiting_idx ON video_queue (youtube_id)
+      WHERE status IN ('queued', 'playing')
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS video_votes (
+        item_id INTEGER REFERENCES video_queue(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        value SMALLINT NOT NULL CHECK (value IN (-1, 1)),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (item_id, user_id)
+      );
+    `);
+  }
+};
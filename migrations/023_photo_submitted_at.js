@@ -0,0 +1,9 @@
+module.exports = {
+  description: 'Date de soumission des photos approuvées (délai de modération, statistiques admin)',
+
+  async up(client) {
+    // pending_photos.created_at recopié à l'approbation ; uploaded_at reste la date d'approbation.
+    // Pas de reprise possible : les photos déjà approuvées gardent NULL (exclues du délai médian).
+    await client.query('ALTER TABLE photos ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ');
+  }
+};
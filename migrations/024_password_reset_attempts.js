@@ -0,0 +1,18 @@
+module.exports = {
+  description: 'Journal des essais de code de réinitialisation (blocage progressif distinct du login)',
+
+  async up(client) {
+    // username : compte saisi avec le code (existant ou non)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_attempts (
+        id SERIAL PRIMARY KEY,
+        username TEXT,
+        ip TEXT,
+        success BOOLEAN NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS password_reset_attempts_username_idx ON password_reset_attempts (username, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS password_reset_attempts_ip_idx ON password_reset_attempts (ip, created_at)');
+  }
+};
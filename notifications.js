@@ -0,0 +1,97 @@
+/**
+ * Notifications in-app (cloche du header de la Toilet App).
+ *
+ *   notify(userIds, { type, title, body, link, data }, db) -> une ligne par destinataire
+ *   notifyAll(notification, db)                            -> tous les utilisateurs
+ *   deliver(rows)                                          -> envoi push des notifications créées
+ *   list(userId, { limit }) / unreadCount(userId) / markRead(userId, ids)
+ *
+ * `db` permet d'écrire dans la transaction en cours (client pg) : la notification
+ * n'existe que si l'action qui la déclenche est validée.
+ *
+ * Chaque notification est aussi envoyée en Web Push (push.js, catégorie PUSH_CATEGORY_BY_TYPE) :
+ * tout de suite hors transaction, sinon par deliver(rows) une fois le COMMIT fait.
+ */
+
+const NOTIFICATION_TYPES = {
+  photo_approved: 'Photo validée',
+  photo_rejected: 'Photo refusée',
+  quest_published: 'Nouvelle quête spéciale',
+  reward_unlocked: 'Récompense débloquée',
+  photo_comment: 'Commentaire sur ta photo'
+};
+
+const PUSH_CATEGORY_BY_TYPE = {
+  photo_approved: 'moderation',
+  photo_rejected: 'moderation',
+  quest_published: 'quests',
+  reward_unlocked: 'rewards',
+  photo_comment: 'comments'
+};
+
+function createNotifications({ pool, push = null }) {
+  async function notify(userIds, { type, title, body = null, link = null, data = null }, db = pool) {
+    if (!NOTIFICATION_TYPES[type]) throw new Error(`Type de notification inconnu : ${type}`);
+    const ids = [].concat(userIds).filter(Boolean);
+    if (!ids.length) return [];
+
+    const { rows } = await db.query(
+      `INSERT INTO notifications (user_id, type, title, body, link, data)
+       SELECT unnest($1::int[]), $2, $3, $4, $5, $6
+       RETURNING *`,
+      [ids, type, title, body, link, data]
+    );
+    if (db === pool) deliver(rows);
+    return rows;
+  }
+
+  // envoi push (sans attendre : une erreur d'envoi ne fait pas échouer l'action)
+  function deliver(rows) {
+    if (!push || !rows.length) return;
+    const { type, title, body, link } = rows[0];
+    push.sendToUsers(rows.map(n => n.user_id), PUSH_CATEGORY_BY_TYPE[type], {
+      title,
+      body,
+      url: link || '/toilet-app',
+      tag: type
+    }).catch(err => console.error('Erreur push:', err.message));
+  }
+
+  async function notifyAll(notification, db = pool) {
+    const { rows } = await db.query('SELECT id FROM users');
+    return notify(rows.map(u => u.id), notification, db);
+  }
+
+  async function list(userId, { limit = 30 } = {}) {
+    const { rows } = await pool.query(
+      `SELECT id, type, title, body, link, data, read_at, created_at
+       FROM notifications
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return rows;
+  }
+
+  async function unreadCount(userId) {
+    const { rows } = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    return rows[0].count;
+  }
+
+  // ids absents : tout marquer comme lu
+  async function markRead(userId, ids = null) {
+    await pool.query(
+      `UPDATE notifications SET read_at = NOW()
+       WHERE user_id = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2))`,
+      [userId, ids]
+    );
+  }
+
+  return { notify, notifyAll, deliver, list, unreadCount, markRead };
+}
+
+module.exports = { NOTIFICATION_TYPES, createNotifications };
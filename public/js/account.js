@@ -0,0 +1,80 @@
+//-------------notifications push---------------
+
+// jeton CSRF (meta du <head>) : en-tête X-CSRF-Token des fetch qui modifient l'état
+const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
+const pushDevice = document.getElementById('push-device');
+
+// clé VAPID publique (base64url) -> format attendu par pushManager.subscribe
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+async function initPushDevice() {
+  const status = document.getElementById('push-status');
+  const toggle = document.getElementById('push-toggle');
+
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+    // iPhone : uniquement depuis l'app ajoutée à l'écran d'accueil
+    status.textContent = "Ce navigateur ne supporte pas les notifications push (sur iPhone : ajoute l'app à l'écran d'accueil).";
+    return;
+  }
+
+  const registration = await navigator.serviceWorker.register('/sw.js');
+  let subscription = await registration.pushManager.getSubscription();
+
+  function render() {
+    status.textContent = subscription
+      ? 'Les notifications sont activées sur cet appareil.'
+      : 'Les notifications sont désactivées sur cet appareil.';
+    toggle.textContent = subscription ? 'Désactiver sur cet appareil' : 'Activer sur cet appareil';
+    toggle.hidden = false;
+  }
+
+  toggle.addEventListener('click', async () => {
+    toggle.disabled = true;
+    try {
+      if (subscription) {
+        await fetch('/api/push/subscriptions', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+          body: JSON.stringify({ endpoint: subscription.endpoint })
+        });
+        await subscription.unsubscribe();
+        subscription = null;
+      } else {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+          status.textContent = 'Notifications refusées : autorise-les dans les réglages du navigateur.';
+          return;
+        }
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(pushDevice.dataset.publicKey)
+        });
+        const res = await fetch('/api/push/subscriptions', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+          body: JSON.stringify({ subscription })
+        });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+      }
+      render();
+    } catch (err) {
+      console.error('Erreur notifications push :', err);
+      status.textContent = "Impossible de modifier les notifications sur cet appareil.";
+    } finally {
+      toggle.disabled = false;
+    }
+  });
+
+  render();
+}
+
+if (pushDevice) {
+  initPushDevice().catch(err => {
+    console.error('Service worker indisponible :', err);
+    document.getElementById('push-status').textContent = 'Notifications push indisponibles.';
+  });
+}
@@ -0,0 +1,58 @@
+//-------------pending: tout sélectionner---------------
+// délégation : la table est remplacée quand elle se met à jour en direct
+
+document.addEventListener('change', e => {
+  if (e.target.id !== 'pending-select-all') return;
+  document.querySelectorAll('.pending-select').forEach(box => {
+    box.checked = e.target.checked;
+  });
+});
+
+//-------------temps réel (SSE /api/events)---------------
+// nouvelle photo en attente ou photo modérée ailleurs : la table des photos en attente
+// est rechargée depuis /admin (sélection conservée)
+
+let pendingRefreshTimer = null;
+
+function refreshPending() {
+  clearTimeout(pendingRefreshTimer);
+  // regroupe les événements d'une modération groupée
+  pendingRefreshTimer = setTimeout(async () => {
+    const section = document.getElementById('pending-section');
+    if (!section) return;
+
+    // raison de refus en cours de saisie : on attend que le champ perde le focus
+    const active = document.activeElement;
+    if (section.contains(active) && active.matches('input[type="text"]')) {
+      active.addEventListener('blur', refreshPending, { once: true });
+      return;
+    }
+
+    try {
+      const res = await fetch('/admin', { credentials: 'same-origin' });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const page = new DOMParser().parseFromString(await res.text(), 'text/html');
+      const fresh = page.getElementById('pending-section');
+      if (!fresh) return;
+
+      const selected = [...section.querySelectorAll('.pending-select:checked')].map(box => box.value);
+      section.replaceWith(fresh);
+      fresh.querySelectorAll('.pending-select').forEach(box => {
+        box.checked = selected.includes(box.value);
+      });
+    } catch (err) {
+      console.error('Rafraîchissement des photos en attente impossible :', err);
+    }
+  }, 300);
+}
+
+if ('EventSource' in window && document.getElementById('pending-section')) {
+  const events = new EventSource('/api/events');
+  events.addEventListener('pending_created', refreshPending);
+  events.addEventListener('pending_resolved', refreshPending);
+  events.addEventListener('progress', e => {
+    try {
+      document.getElementById('admin-total-points').textContent = JSON.parse(e.data).totalPoints;
+    } catch { /* message illisible : on garde l'ancien total */ }
+  });
+}
@@ -2,11 +2,11 @@ const login = document.getElementById('login-pop-up-background');
 
 
 document.getElementById('login-link').onclick = () => {
-  login.style.display = 'flex';
+  login.classList.add('open');
 };
 
 login.onclick = (e) => {
   if (e.target === login) {
-    login.style.display = 'none';
+    login.classList.remove('open');
   }
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+//-------------éditeur de meme---------------
+
+const memeForm = document.getElementById('meme-form');
+const memeFile = document.getElementById('meme-file');
+const preview = document.getElementById('meme-preview');
+const previewImage = document.getElementById('meme-preview-image');
+const previewEmpty = document.getElementById('meme-preview-empty');
+const freeCaptions = document.getElementById('free-captions');
+const addFreeCaption = document.getElementById('add-free-caption');
+const maxCaptions = parseInt(memeForm.dataset.maxCaptions, 10);
+
+let previewObjectUrl = null;
+
+function showPreview(src) {
+  previewImage.hidden = !src;
+  previewEmpty.hidden = !!src;
+  if (src) previewImage.src = src;
+}
+
+// photo de la galerie : l'envoi d'un fichier est annulé (et inversement)
+document.querySelectorAll('#meme-sources input[type="radio"]').forEach(radio => {
+  radio.addEventListener('change', () => {
+    memeFile.value = '';
+    showPreview(radio.dataset.preview);
+  });
+});
+
+memeFile.addEventListener('change', () => {
+  if (previewObjectUrl) URL.revokeObjectURL(previewObjectUrl);
+  previewObjectUrl = null;
+  const file = memeFile.files[0];
+  if (!file) return;
+
+  document.querySelectorAll('#meme-sources input[type="radio"]').forEach(radio => { radio.checked = false; });
+  // HEIC : pas d'aperçu dans la plupart des navigateurs, le rendu serveur le gère
+  previewObjectUrl = URL.createObjectURL(file);
+  showPreview(previewObjectUrl);
+});
+
+const checked = document.querySelector('#meme-sources input[type="radio"]:checked');
+if (checked) showPreview(checked.dataset.preview);
+
+//-------------légendes---------------
+
+// texte de l'aperçu = champ correspondant (haut / bas : un seul chacun, libres : liés par l'élément)
+function bindCaption(input, overlay) {
+  input.addEventListener('input', () => {
+    overlay.textContent = input.value;
+  });
+}
+
+document.querySelectorAll('.caption-input[data-position="top"], .caption-input[data-position="bottom"]').forEach(input => {
+  bindCaption(input, preview.querySelector(`.meme-caption[data-position="${input.dataset.position}"]`));
+});
+
+// position (0 à 1) d'une légende libre, au centre du texte
+function placeCaption(overlay, x, y) {
+  overlay.dataset.x = x;
+  overlay.dataset.y = y;
+  overlay.style.left = `${x * 100}%`;
+  overlay.style.top = `${y * 100}%`;
+}
+
+function makeDraggable(overlay) {
+  overlay.addEventListener('pointerdown', e => {
+    e.preventDefault();
+    overlay.setPointerCapture(e.pointerId);
+  });
+  overlay.addEventListener('pointermove', e => {
+    if (!overlay.hasPointerCapture(e.pointerId)) return;
+    const rect = preview.getBoundingClientRect();
+    const clamp = v => Math.min(Math.max(v, 0), 1);
+    placeCaption(overlay, clamp((e.clientX - rect.left) / rect.width), clamp((e.clientY - rect.top) / rect.height));
+  });
+}
+
+function freeCaptionCount() {
+  return freeCaptions.querySelectorAll('.free-caption').length;
+}
+
+function refreshAddButton() {
+  addFreeCaption.disabled = 2 + freeCaptionCount() >= maxCaptions;
+}
+
+addFreeCaption.addEventListener('click', () => {
+  const row = document.getElementById('free-caption-template').content.firstElementChild.cloneNode(true);
+  const input = row.querySelector('input');
+  const overlay = document.createElement('div');
+  overlay.className = 'meme-caption';
+  overlay.dataset.position = 'free';
+  placeCaption(overlay, 0.5, 0.5);
+  makeDraggable(overlay);
+  preview.appendChild(overlay);
+  bindCaption(input, overlay);
+  row.overlay = overlay;
+
+  row.querySelector('.free-caption-remove').addEventListener('click', () => {
+    overlay.remove();
+    row.remove();
+    refreshAddButton();
+  });
+
+  freeCaptions.appendChild(row);
+  refreshAddButton();
+  input.focus();
+});
+
+//-------------envoi---------------
+
+memeForm.addEventListener('submit', e => {
+  const captions = [];
+  document.querySelectorAll('.caption-input[data-position="top"], .caption-input[data-position="bottom"]').forEach(input => {
+    captions.push({ text: input.value, position: input.dataset.position });
+  });
+  freeCaptions.querySelectorAll('.free-caption').forEach(row => {
+    captions.push({
+      text: row.querySelector('input').value,
+      position: 'free',
+      x: parseFloat(row.overlay.dataset.x),
+      y: parseFloat(row.overlay.dataset.y)
+    });
+  });
+
+  if (!captions.some(c => c.text.trim())) {
+    e.preventDefault();
+    alert('Ajoute au moins une légende.');
+    return;
+  }
+  if (!memeFile.files.length && !document.querySelector('#meme-sources input[type="radio"]:checked')) {
+    e.preventDefault();
+    alert('Choisis une photo de la galerie ou envoie une image.');
+    return;
+  }
+
+  document.getElementById('meme-captions').value = JSON.stringify(captions);
+  document.getElementById('meme-submit').disabled = true; // le rendu prend quelques secondes
+});
@@ -4,8 +4,13 @@ document.addEventListener("DOMContentLoaded", () => {
   const container = document.getElementById("progress-bar-container");
   if (!container) return;
 
-  const totalPoints = parseInt(container.dataset.total, 10) || 0;
-  const rewards = safeParse(container.dataset.rewards) || [];
+  renderProgress(parseInt(container.dataset.total, 10) || 0, safeParse(container.dataset.rewards) || []);
+});
+
+// appelée au chargement puis à chaque événement "progress" du canal temps réel
+// (la largeur de #progress-indicator est animée en CSS)
+function renderProgress(totalPoints, rewards) {
+  const container = document.getElementById("progress-bar-container");
   const defaultSvg = container.dataset.defaultSvg || "/public/images/start-goal.svg";
 
   // Sécurité : tri par points (au cas où)
@@ -62,26 +67,36 @@ document.addEventListener("DOMContentLoaded", () => {
     ? `${Math.min(totalPoints, endPoints)}/${endPoints}`
     : `${totalPoints}`;
 
-  // Icônes
+  // Icônes (inchangées : pas de rechargement de l'image)
   const startSvg = prev?.svg || defaultSvg;
   const endSvg = next?.svg || defaultSvg;
 
-  startEl.innerHTML = `<img src="${startSvg}" alt="start reward">`;
-  endEl.innerHTML = `<img src="${endSvg}" alt="end reward">`;
-});
+  if (startEl.dataset.src !== startSvg) {
+    startEl.dataset.src = startSvg;
+    startEl.innerHTML = `<img src="${startSvg}" alt="start reward">`;
+  }
+  if (endEl.dataset.src !== endSvg) {
+    endEl.dataset.src = endSvg;
+    endEl.innerHTML = `<img src="${endSvg}" alt="end reward">`;
+  }
+}
 
 // Petit helper pour parser sans crash
 function safeParse(json) {
   try { return JSON.parse(json); } catch { return null; }
 }
 
+// jeton CSRF (meta du <head>) : en-tête X-CSRF-Token de tous les POST / DELETE en fetch
+const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
 
 //--------------nav-------------------
 
 const sections = {
     'nav-quests': document.getElementById('quest-display'),
     'nav-gallery': document.getElementById('gallery-display'),
-    'nav-awards': document.getElementById('award-display')
+    'nav-awards': document.getElementById('award-display'),
+    'nav-leaderboard': document.getElementById('leaderboard-display')
   };
 const navItems = document.querySelectorAll('.nav-item');
 
@@ -102,32 +117,461 @@ navItems.forEach(item => {
     });
 });
 
+//-------------leaderboard---------------
+
+const periodButtons = document.querySelectorAll('.leaderboard-period');
+const leaderboardLists = document.querySelectorAll('.leaderboard-list');
+
+periodButtons.forEach(btn => {
+  btn.addEventListener('click', () => {
+    periodButtons.forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+
+    leaderboardLists.forEach(list => {
+      list.hidden = list.dataset.period !== btn.dataset.period;
+    });
+  });
+});
+
+//-------------gallery : filtres + scroll infini (/api/photos)---------------
+
+const galleryGrid = document.getElementById('gallery-grid');
+const galleryEmpty = document.getElementById('gallery-empty');
+const gallerySentinel = document.getElementById('gallery-sentinel');
+const galleryFilters = { user: '', quest: '', from: '', to: '' };
+let galleryCursor = galleryGrid.dataset.cursor || null;
+let galleryRequest = 0;   // ignore les réponses d'une recherche périmée
+let galleryLoading = false;
+
+function formatPhotoDate(iso) {
+  return new Date(iso).toLocaleString('fr-FR', { timeZone: 'Europe/Paris', dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// même rendu que la boucle de toilet-app.ejs
+function createGalleryItem(photo) {
+  const item = document.createElement('div');
+  item.className = 'gallery-item';
+  item.dataset.id = photo.id;
+
+  const img = document.createElement('img');
+  img.src = photo.thumbnail;
+  if (photo.srcset) {
+    img.srcset = photo.srcset;
+    img.sizes = '150px';
+  }
+  img.alt = 'photo';
+  img.loading = 'lazy';
+  img.dataset.full = photo.url;
+  img.dataset.username = photo.user.username;
+  img.dataset.quest = photo.quest ? photo.quest.title : '';
+  img.dataset.date = photo.taken_at || photo.uploaded_at;
+
+  const counts = document.createElement('div');
+  counts.className = 'gallery-counts';
+  item.append(img, counts);
+  setGalleryCounts(item, photo.reaction_count, photo.comment_count);
+
+  if (photo.new_activity > 0) {
+    const badge = document.createElement('div');
+    badge.className = 'gallery-new';
+    badge.textContent = photo.new_activity;
+    item.appendChild(badge);
+  }
+  return item;
+}
+
+function setGalleryCounts(item, reactionCount, commentCount) {
+  const counts = item.querySelector('.gallery-counts');
+  counts.innerHTML = '';
+  [['❤️', reactionCount], ['💬', commentCount]].forEach(([icon, count]) => {
+    if (!count) return;
+    const b = document.createElement('b');
+    b.textContent = `${icon} ${count}`;
+    counts.appendChild(b);
+  });
+}
+
+// reset = nouveaux filtres : on repart de la première page
+async function loadGalleryPage(reset = false) {
+  if (!reset && (galleryLoading || !galleryCursor)) return;
+  const request = ++galleryRequest;
+  galleryLoading = true;
+
+  const params = new URLSearchParams();
+  Object.entries(galleryFilters).forEach(([key, value]) => { if (value) params.set(key, value); });
+  if (!reset) params.set('cursor', galleryCursor);
+
+  try {
+    const res = await fetch('/api/photos?' + params);
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    const data = await res.json();
+    if (request !== galleryRequest) return;
+
+    if (reset) galleryGrid.innerHTML = '';
+    data.photos.forEach(photo => galleryGrid.appendChild(createGalleryItem(photo)));
+    galleryCursor = data.nextCursor;
+    galleryEmpty.hidden = galleryGrid.children.length > 0;
+  } catch (err) {
+    console.error('Chargement de la galerie impossible :', err);
+  } finally {
+    if (request === galleryRequest) galleryLoading = false;
+  }
+
+  // page trop courte pour remplir l'écran : on enchaîne
+  if (request === galleryRequest && gallerySentinel.getBoundingClientRect().top < window.innerHeight) {
+    loadGalleryPage();
+  }
+}
+
+new IntersectionObserver(entries => {
+  if (entries.some(entry => entry.isIntersecting)) loadGalleryPage();
+}).observe(gallerySentinel);
+
+document.querySelectorAll('.gallery-chip').forEach(chip => {
+  chip.addEventListener('click', () => {
+    document.querySelectorAll(`.gallery-chip[data-filter="${chip.dataset.filter}"]`)
+      .forEach(c => c.classList.remove('active'));
+    chip.classList.add('active');
+    galleryFilters[chip.dataset.filter] = chip.dataset.value;
+    loadGalleryPage(true);
+  });
+});
+
+document.querySelectorAll('.gallery-date').forEach(input => {
+  input.addEventListener('change', () => {
+    galleryFilters[input.dataset.filter] = input.value;
+    loadGalleryPage(true);
+  });
+});
+
 //-------------gallery lightbox---------------
 
-const galleryItems = document.querySelectorAll('#gallery-display img');
 const lightbox = document.getElementById('lightbox');
 const lightboxImg = document.getElementById('lightbox-img');
 const lightboxClose = document.getElementById('lightbox-close');
-
-// Ouvrir lightbox
-galleryItems.forEach(img => {
-  img.addEventListener('click', () => {
-    lightbox.style.display = 'flex';
-    lightboxImg.src = img.src;
-    lightboxDownload.dataset.filename = img.src.split('/').pop();
-    lightboxDownload.textContent = isMobile ? 'Sauvegarder dans la Galerie' : 'Télécharger';
-  });
+const lightboxAuthor = document.getElementById('lightbox-author');
+const lightboxQuest = document.getElementById('lightbox-quest');
+const lightboxDate = document.getElementById('lightbox-date');
+const lightboxDownload = document.getElementById('lightbox-download');
+const isMobile = window.matchMedia('(pointer: coarse)').matches;
+let lightboxPhotoId = null;
+
+// Ouvrir lightbox (délégation : les photos sont ajoutées au fil du scroll)
+galleryGrid.addEventListener('click', e => {
+  const item = e.target.closest('.gallery-item');
+  if (!item) return;
+  const img = item.querySelector('img');
+
+  lightbox.style.display = 'flex';
+  lightboxPhotoId = item.dataset.id;
+  lightboxImg.src = img.dataset.full; // miniature dans la galerie, image complète ici
+  lightboxAuthor.textContent = img.dataset.username;
+  lightboxQuest.textContent = img.dataset.quest;
+  lightboxDate.dateTime = img.dataset.date;
+  lightboxDate.textContent = formatPhotoDate(img.dataset.date);
+  lightboxDownload.dataset.filename = img.dataset.full.split('/').pop();
+  lightboxDownload.textContent = isMobile ? 'Sauvegarder dans la Galerie' : 'Télécharger';
+
+  loadPhotoActivity(lightboxPhotoId);
+
+  // photo de l'utilisateur avec de l'activité non vue : marquée comme vue
+  const badge = item.querySelector('.gallery-new');
+  if (badge) {
+    fetch(`/api/photos/${lightboxPhotoId}/seen`, { method: 'POST', headers: { 'X-CSRF-Token': csrfToken } }).catch(() => {});
+    badge.remove();
+  }
 });
 
 // Fermer lightbox
 lightboxClose.addEventListener('click', () => {
   lightbox.style.display = 'none';
+  lightboxPhotoId = null;
+  resetCommentReply();
+});
+
+// Télécharger (ordinateur) ou partager vers la pellicule (mobile, si le navigateur le permet)
+lightboxDownload.addEventListener('click', async () => {
+  const url = lightboxImg.src;
+  try {
+    const blob = await (await fetch(url)).blob();
+    const file = new File([blob], lightboxDownload.dataset.filename, { type: blob.type });
+    if (isMobile && navigator.canShare && navigator.canShare({ files: [file] })) {
+      await navigator.share({ files: [file] });
+      return;
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = file.name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (err) {
+    if (err.name !== 'AbortError') window.open(url, '_blank'); // partage annulé : rien à faire
+  }
+});
+
+//-------------lightbox : réactions + commentaires---------------
+
+const reactionButtons = document.querySelectorAll('#lightbox-reactions .reaction');
+const commentList = document.getElementById('comment-list');
+const commentForm = document.getElementById('comment-form');
+const commentReply = document.getElementById('comment-reply');
+let photoComments = [];
+let replyTo = null;
+
+async function apiRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: options.body
+      ? { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken }
+      : { 'X-CSRF-Token': csrfToken },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+  const data = res.status === 204 ? null : await res.json();
+  if (!res.ok) throw new Error((data && data.error) || 'HTTP ' + res.status);
+  return data;
+}
+
+async function loadPhotoActivity(photoId) {
+  renderReactions([]);
+  photoComments = [];
+  renderComments();
+  try {
+    const data = await apiRequest(`/api/photos/${photoId}`);
+    if (photoId !== lightboxPhotoId) return; // lightbox fermée ou autre photo entre-temps
+    renderReactions(data.reactions);
+    photoComments = data.comments;
+    renderComments();
+  } catch (err) {
+    console.error('Chargement des réactions impossible :', err);
+  }
+}
+
+function renderReactions(reactions) {
+  reactionButtons.forEach(btn => {
+    const reaction = reactions.find(r => r.emoji === btn.dataset.emoji) || { count: 0, mine: false };
+    btn.querySelector('b').textContent = reaction.count;
+    btn.classList.toggle('mine', reaction.mine);
+  });
+}
+
+// compteurs de la miniature, après une réaction / un commentaire
+function refreshGalleryCounts() {
+  const item = galleryGrid.querySelector(`.gallery-item[data-id="${lightboxPhotoId}"]`);
+  if (!item) return;
+  const reactionCount = Array.from(reactionButtons).reduce((sum, btn) => sum + (parseInt(btn.querySelector('b').textContent, 10) || 0), 0);
+  setGalleryCounts(item, reactionCount, photoComments.length);
+}
+
+reactionButtons.forEach(btn => {
+  btn.addEventListener('click', async () => {
+    try {
+      const data = await apiRequest(`/api/photos/${lightboxPhotoId}/reactions`, {
+        method: 'POST',
+        body: { emoji: btn.dataset.emoji }
+      });
+      renderReactions(data.reactions);
+      refreshGalleryCounts();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+});
+
+// fil : commentaires racines puis réponses imbriquées, dans l'ordre chronologique
+function renderComments(parentId = null, container = commentList) {
+  container.innerHTML = '';
+  photoComments.filter(c => c.parent_id === parentId).forEach(comment => {
+    const li = document.createElement('li');
+    li.className = 'comment';
+
+    const header = document.createElement('p');
+    const author = document.createElement('strong');
+    author.textContent = comment.user ? comment.user.username : 'Compte supprimé';
+    const date = document.createElement('time');
+    date.dateTime = comment.created_at;
+    date.textContent = formatPhotoDate(comment.created_at);
+    header.append(author, ' ', date);
+
+    const body = document.createElement('p');
+    body.textContent = comment.body;
+
+    const actions = document.createElement('div');
+    actions.className = 'comment-actions';
+    const reply = document.createElement('button');
+    reply.type = 'button';
+    reply.textContent = 'Répondre';
+    reply.addEventListener('click', () => setCommentReply(comment));
+    actions.appendChild(reply);
+    if (comment.can_delete) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = 'Supprimer';
+      remove.addEventListener('click', () => deleteComment(comment));
+      actions.appendChild(remove);
+    }
+
+    const replies = document.createElement('ul');
+    li.append(header, body, actions, replies);
+    container.appendChild(li);
+    renderComments(comment.id, replies);
+  });
+}
+
+function setCommentReply(comment) {
+  replyTo = comment.id;
+  commentReply.querySelector('strong').textContent = comment.user ? comment.user.username : 'Compte supprimé';
+  commentReply.hidden = false;
+  commentForm.elements.body.focus();
+}
+
+function resetCommentReply() {
+  replyTo = null;
+  commentReply.hidden = true;
+}
+
+document.getElementById('comment-reply-cancel').addEventListener('click', resetCommentReply);
+
+commentForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const input = commentForm.elements.body;
+  try {
+    const data = await apiRequest(`/api/photos/${lightboxPhotoId}/comments`, {
+      method: 'POST',
+      body: { body: input.value, parent_id: replyTo }
+    });
+    photoComments.push(data.comment);
+    input.value = '';
+    resetCommentReply();
+    renderComments();
+    refreshGalleryCounts();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+async function deleteComment(comment) {
+  if (!confirm('Supprimer ce commentaire et ses réponses ?')) return;
+  try {
+    await apiRequest(`/api/comments/${comment.id}`, { method: 'DELETE' });
+    // retirer aussi les réponses (supprimées en cascade côté serveur)
+    const removed = new Set([comment.id]);
+    photoComments.forEach(c => { if (removed.has(c.parent_id)) removed.add(c.id); });
+    photoComments = photoComments.filter(c => !removed.has(c.id));
+    renderComments();
+    refreshGalleryCounts();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+//-------------activité sur mes photos---------------
+
+const activityShow = document.getElementById('activity-show');
+if (activityShow) {
+  activityShow.addEventListener('click', () => {
+    document.getElementById('nav-gallery').click();
+    const chip = document.querySelector(`.gallery-chip[data-filter="user"][data-value="${activityShow.dataset.userId}"]`);
+    if (chip) chip.click();
+    document.getElementById('activity-display').remove();
+  });
+}
+
+
+
+
+//-------------notifications (cloche)---------------
+
+const notificationBell = document.getElementById('notification-bell');
+const notificationCount = document.getElementById('notification-count');
+const notificationPanel = document.getElementById('notification-panel');
+const notificationList = document.getElementById('notification-list');
+const notificationEmpty = document.getElementById('notification-empty');
+
+function setUnreadCount(count) {
+  notificationCount.textContent = count > 99 ? '99+' : count;
+  notificationCount.hidden = count === 0;
+}
+
+function renderNotifications(notifications) {
+  notificationList.innerHTML = '';
+  notificationEmpty.hidden = notifications.length > 0;
+  notifications.forEach(n => {
+    const li = document.createElement('li');
+    li.className = 'notification' + (n.read_at ? '' : ' unread');
+
+    const title = document.createElement('strong');
+    title.textContent = n.title;
+    li.appendChild(title);
+    if (n.body) {
+      const body = document.createElement('p');
+      body.textContent = n.body;
+      li.appendChild(body);
+    }
+    const date = document.createElement('time');
+    date.dateTime = n.created_at;
+    date.textContent = formatPhotoDate(n.created_at);
+    li.appendChild(date);
+
+    // clic : marquée comme lue, puis ouverture du lien éventuel
+    li.addEventListener('click', async () => {
+      if (!n.read_at) {
+        try {
+          const data = await apiRequest('/api/notifications/read', { method: 'POST', body: { ids: [n.id] } });
+          n.read_at = new Date().toISOString();
+          li.classList.remove('unread');
+          setUnreadCount(data.unread);
+        } catch (err) {
+          console.error('Notification non marquée comme lue :', err);
+        }
+      }
+      if (n.link) window.location.href = n.link;
+    });
+    notificationList.appendChild(li);
+  });
+}
+
+async function toggleNotifications() {
+  notificationPanel.hidden = !notificationPanel.hidden;
+  if (notificationPanel.hidden) return;
+  try {
+    const data = await apiRequest('/api/notifications');
+    renderNotifications(data.notifications);
+    setUnreadCount(data.unread);
+  } catch (err) {
+    console.error('Chargement des notifications impossible :', err);
+  }
+}
+
+notificationBell.addEventListener('click', toggleNotifications);
+notificationBell.addEventListener('keydown', e => {
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    toggleNotifications();
+  }
+});
+
+document.getElementById('notification-read-all').addEventListener('click', async () => {
+  try {
+    const data = await apiRequest('/api/notifications/read', { method: 'POST', body: {} });
+    notificationList.querySelectorAll('.notification.unread').forEach(li => li.classList.remove('unread'));
+    setUnreadCount(data.unread);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// fermer le panneau au clic ailleurs
+document.addEventListener('click', e => {
+  if (!notificationPanel.hidden && !notificationPanel.contains(e.target) && !notificationBell.contains(e.target)) {
+    notificationPanel.hidden = true;
+  }
 });
 
 
 
 
 //-----------upload quest img ----------------
+// Envoi en fetch ; sans réseau, la photo part dans la file hors ligne (upload-queue.js)
 
 document.addEventListener("DOMContentLoaded", () => {
   const questButtons = document.querySelectorAll(".submit-quest");
@@ -137,15 +581,198 @@ document.addEventListener("DOMContentLoaded", () => {
 
   questButtons.forEach(btn => {
     btn.addEventListener("click", () => {
+      if (btn.classList.contains("locked")) return; // déjà validée, en attente, remportée ou en file
       const questId = btn.getAttribute("data-quest-id");
       questIdField.value = questId;
       fileInput.click(); // ouvre la boîte de dialogue
     });
   });
 
-  fileInput.addEventListener("change", () => {
-    if (fileInput.files.length > 0) {
-      questForm.submit(); // envoie vers /upload
+  fileInput.addEventListener("change", async () => {
+    if (fileInput.files.length === 0) return;
+    if (!('indexedDB' in window)) return questForm.submit(); // pas de file possible : envoi classique
+
+    const file = fileInput.files[0];
+    const questId = questIdField.value;
+
+    if (navigator.onLine) {
+      try {
+        const res = await fetch('/upload', {
+          method: 'POST',
+          body: new FormData(questForm),
+          headers: { 'X-CSRF-Token': csrfToken },
+          credentials: 'same-origin'
+        });
+        fileInput.value = '';
+        // session expirée ou mot de passe à changer : requireLogin redirige ailleurs que /toilet-app
+        if (res.redirected && new URL(res.url).pathname !== '/toilet-app') return window.location.assign(res.url);
+        if (res.ok) return window.location.reload(); // la quête passe "en attente de validation"
+        return alert((await res.text()) || 'Erreur upload');
+      } catch (err) {
+        // réseau perdu pendant l'envoi : on met en file
+      }
     }
+
+    const container = document.querySelector(`.submit-quest[data-quest-id="${questId}"]`).closest('.quest-container');
+    await queueUpload({
+      questId,
+      questTitle: container.querySelector('h3').textContent,
+      file,
+      filename: file.name || 'photo.jpg',
+      csrfToken
+    });
+    fileInput.value = '';
+    await requestUploadSync();
+    renderQueuedUploads();
   });
-});
\ No newline at end of file
+
+  refreshQueuedUploads(csrfToken)
+    .catch(err => console.error('File d\'envoi illisible :', err))
+    .then(() => {
+      renderQueuedUploads();
+      if (navigator.onLine) flushUploadsFromPage();
+    });
+});
+
+//-----------file d'envoi hors ligne ----------------
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker non enregistré :', err));
+
+  // la synchro du service worker a renvoyé des photos : la page se met à jour
+  navigator.serviceWorker.addEventListener('message', e => {
+    if (!e.data || e.data.type !== 'upload-queue') return;
+    if (e.data.sent > 0) window.location.reload();
+    else renderQueuedUploads();
+  });
+}
+
+async function getUploadSync() {
+  if (!('serviceWorker' in navigator)) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration && 'sync' in registration ? registration.sync : null;
+}
+
+async function requestUploadSync() {
+  try {
+    const sync = await getUploadSync();
+    if (sync) await sync.register(UPLOAD_SYNC_TAG);
+  } catch (err) {
+    console.error('Background Sync indisponible :', err);
+  }
+}
+
+// navigateurs sans Background Sync (iPhone, Firefox) : la page rejoue elle-même la file ;
+// avec, elle relance la synchro (photos dont le jeton vient d'être rafraîchi)
+async function flushUploadsFromPage() {
+  const items = await listQueuedUploads().catch(() => []);
+  if (!items.some(item => !item.error && !item.needsRefresh)) return;
+  if (await getUploadSync()) return requestUploadSync();
+  try {
+    const sent = await flushUploadQueue();
+    if (sent > 0) return window.location.reload();
+  } catch (err) {
+    console.error('Envoi de la file impossible :', err);
+  }
+  renderQueuedUploads();
+}
+
+window.addEventListener('online', flushUploadsFromPage);
+
+// photos en file : quête verrouillée + état dans sa description ;
+// celles dont la quête n'est plus affichée sont listées dans #upload-queue
+async function renderQueuedUploads() {
+  const items = await listQueuedUploads().catch(() => []);
+  const orphans = document.getElementById('upload-queue');
+  orphans.innerHTML = '';
+
+  document.querySelectorAll('.submit-quest').forEach(btn => {
+    const description = btn.parentElement.querySelector('.quest-description');
+    if (description.dataset.original === undefined) description.dataset.original = description.innerHTML;
+    const item = items.find(i => String(i.questId) === btn.dataset.questId);
+
+    if (!item) {
+      if (btn.classList.contains('queued')) {
+        btn.classList.remove('queued', 'locked');
+        description.innerHTML = description.dataset.original;
+      }
+      return;
+    }
+    btn.classList.add('queued', 'locked');
+    description.innerHTML = '';
+    description.appendChild(describeQueuedUpload(item));
+  });
+
+  items
+    .filter(item => !document.querySelector(`.submit-quest[data-quest-id="${item.questId}"]`))
+    .forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'upload-queue-item';
+      const title = document.createElement('strong');
+      title.textContent = item.questTitle;
+      row.append(title, describeQueuedUpload(item));
+      orphans.appendChild(row);
+    });
+  orphans.hidden = orphans.children.length === 0;
+}
+
+function describeQueuedUpload(item) {
+  const wrapper = document.createElement('div');
+  const text = document.createElement('p');
+  wrapper.appendChild(text);
+
+  if (item.needsRefresh) {
+    text.textContent = '🔄 Session changée depuis la mise en file : la photo repartira à la prochaine ouverture de l\'app.';
+    return wrapper;
+  }
+  if (!item.error) {
+    text.textContent = '📶 Photo en attente de réseau : envoi automatique dès le retour de la connexion.';
+    return wrapper;
+  }
+
+  text.textContent = `⚠️ Photo non envoyée : ${item.error}`;
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = 'Retirer';
+  remove.addEventListener('click', async e => {
+    e.stopPropagation();
+    await removeQueuedUpload(item.id);
+    renderQueuedUploads();
+  });
+  wrapper.appendChild(remove);
+  return wrapper;
+}
+
+//-----------temps réel (SSE /api/events) ----------------
+// EventSource se reconnecte tout seul après une coupure
+
+if ('EventSource' in window) {
+  const events = new EventSource('/api/events');
+
+  const onEvent = (type, handler) => events.addEventListener(type, e => {
+    const data = safeParse(e.data);
+    if (data) handler(data);
+  });
+
+  // une photo vient d'être validée : en tête de galerie si elle correspond aux filtres
+  onEvent('photo_approved', ({ photo }) => {
+    if (galleryGrid.querySelector(`.gallery-item[data-id="${photo.id}"]`)) return;
+    if (galleryFilters.from || galleryFilters.to) return;
+    if (galleryFilters.user && String(photo.user.id) !== galleryFilters.user) return;
+    if (galleryFilters.quest && (!photo.quest || String(photo.quest.id) !== galleryFilters.quest)) return;
+
+    const item = createGalleryItem(photo);
+    item.classList.add('live-new');
+    galleryGrid.prepend(item);
+    galleryEmpty.hidden = true;
+  });
+
+  onEvent('progress', ({ totalPoints, rewards }) => renderProgress(totalPoints, rewards));
+
+  // minuit : nouvelles quêtes du jour / de la semaine, la page doit être rechargée
+  onEvent('quest_reset', () => {
+    document.getElementById('quest-reset-display').hidden = false;
+  });
+
+  document.getElementById('quest-reset-reload').addEventListener('click', () => window.location.reload());
+}
@@ -0,0 +1,100 @@
+// File d'attente des photos de quête envoyées sans réseau (IndexedDB).
+// Partagée entre la page (toilet-app.js) et le service worker (sw.js, importScripts) :
+// la page y dépose les photos, le service worker les renvoie sur /upload au retour du réseau
+// (Background Sync ; à défaut, la page rejoue la file à l'événement "online").
+
+const UPLOAD_QUEUE_DB = 'toilet-app';
+const UPLOAD_QUEUE_STORE = 'upload-queue';
+const UPLOAD_SYNC_TAG = 'upload-queue';
+
+function openUploadQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(UPLOAD_QUEUE_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(UPLOAD_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// mode 'readonly' | 'readwrite' ; fn(store) renvoie une IDBRequest dont on attend le résultat
+async function withUploadStore(mode, fn) {
+  const db = await openUploadQueue();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(UPLOAD_QUEUE_STORE, mode);
+      const request = fn(tx.objectStore(UPLOAD_QUEUE_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// item : { questId, questTitle, file (Blob), filename, csrfToken } -> id
+// (le jeton CSRF de la page est gardé : le service worker n'a pas accès au DOM)
+function queueUpload(item) {
+  return withUploadStore('readwrite', store => store.add({ ...item, createdAt: Date.now(), error: null, needsRefresh: false }));
+}
+
+// à chaque ouverture de la page : jeton CSRF courant (il change à la reconnexion) sur les photos
+// en file, y compris celles refusées en 403 avec un jeton périmé (needsRefresh)
+async function refreshQueuedUploads(csrfToken) {
+  for (const item of await listQueuedUploads()) {
+    if (item.error || (item.csrfToken === csrfToken && !item.needsRefresh)) continue;
+    await updateQueuedUpload({ ...item, csrfToken, needsRefresh: false });
+  }
+}
+
+function listQueuedUploads() {
+  return withUploadStore('readonly', store => store.getAll());
+}
+
+function removeQueuedUpload(id) {
+  return withUploadStore('readwrite', store => store.delete(id));
+}
+
+function updateQueuedUpload(item) {
+  return withUploadStore('readwrite', store => store.put(item));
+}
+
+// Renvoie les photos en attente. Erreur réseau ou serveur (5xx) : on s'arrête et on lève
+// une erreur (Background Sync réessaiera). 403 : jeton CSRF périmé (déconnexion / reconnexion
+// depuis la mise en file), la photo attend le jeton de la prochaine page ouverte. Refus définitif
+// (autres 4xx : quête expirée, déjà soumise...) : la photo reste dans la file avec le message,
+// à retirer par l'utilisateur.
+async function flushUploadQueue() {
+  const items = (await listQueuedUploads()).filter(item => !item.error && !item.needsRefresh);
+  // depuis la page : jeton courant du <head> ; depuis le service worker : celui gardé avec la photo
+  const meta = typeof document !== 'undefined' && document.querySelector('meta[name="csrf-token"]');
+  let sent = 0;
+
+  for (const item of items) {
+    const form = new FormData();
+    form.append('quest_id', item.questId);
+    form.append('image', item.file, item.filename);
+
+    const res = await fetch('/upload', {
+      method: 'POST',
+      body: form,
+      headers: { 'X-CSRF-Token': (meta && meta.content) || item.csrfToken || '' },
+      credentials: 'same-origin'
+    });
+    if (res.redirected && new URL(res.url).pathname !== '/toilet-app') {
+      // redirigé par requireLogin (session expirée, mot de passe à changer) : rien n'a été envoyé
+      await updateQueuedUpload({ ...item, error: 'Session expirée ou mot de passe à changer : reconnecte-toi puis renvoie la photo.' });
+    } else if (res.ok) {
+      await removeQueuedUpload(item.id);
+      sent++;
+    } else if (res.status === 403) {
+      await updateQueuedUpload({ ...item, needsRefresh: true });
+    } else if (res.status >= 400 && res.status < 500) {
+      await updateQueuedUpload({ ...item, error: (await res.text()) || `Erreur ${res.status}` });
+    } else {
+      throw new Error('Envoi impossible (HTTP ' + res.status + ')');
+    }
+  }
+  return sent;
+}
@@ -0,0 +1,36 @@
+//-------------temps réel (SSE /api/events)---------------
+// vidéo ajoutée, vote, vidéo suivante : les sections [data-live-refresh] de la page sont
+// rechargées ; le lecteur (/youtube/now) seulement si la vidéo en cours a changé
+
+let videoRefreshTimer = null;
+
+function refreshVideos() {
+  clearTimeout(videoRefreshTimer);
+  // regroupe les votes rapprochés
+  videoRefreshTimer = setTimeout(async () => {
+    try {
+      const res = await fetch(location.pathname, { credentials: 'same-origin' });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      const page = new DOMParser().parseFromString(await res.text(), 'text/html');
+
+      const sections = [...document.querySelectorAll('[data-live-refresh]')];
+      const player = document.getElementById('video-player');
+      const freshPlayer = page.getElementById('video-player');
+      if (player && freshPlayer && freshPlayer.dataset.playingId !== player.dataset.playingId) {
+        sections.push(player);
+      }
+
+      sections.forEach(section => {
+        const fresh = page.getElementById(section.id);
+        if (fresh) section.replaceWith(fresh);
+      });
+    } catch (err) {
+      console.error('Rafraîchissement de la file impossible :', err);
+    }
+  }, 300);
+}
+
+if ('EventSource' in window) {
+  const events = new EventSource('/api/events');
+  events.addEventListener('video_queue', refreshVideos);
+}
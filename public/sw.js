@@ -0,0 +1,146 @@
+// Service worker de la Toilet App (servi à la racine : /sw.js)
+
+importScripts('/public/js/upload-queue.js');
+
+//-------------cache de l'app (hors ligne)---------------
+
+// changer la version pour forcer le rechargement des fichiers de l'app
+const SHELL_CACHE = 'toilet-shell-v1';
+const PAGES_CACHE = 'toilet-pages-v1';
+const SHELL_ASSETS = [
+  '/public/css/toilet-app.css',
+  '/public/js/toilet-app.js',
+  '/public/js/upload-queue.js',
+  '/public/manifest.webmanifest',
+  '/public/images/start-goal.svg',
+  '/public/images/icons/icon-192.png'
+];
+const OFFLINE_PAGES = ['/toilet-app'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_ASSETS)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, PAGES_CACHE];
+    for (const key of await caches.keys()) {
+      if (!keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// La page en cache est celle de l'utilisateur connecté (contenu, jeton CSRF) : elle est oubliée
+// dès que la session change ou se termine, y compris quand elle a été révoquée ailleurs
+// (/account, admin) ou a expiré : réponse 401 d'une API ou page redirigée vers l'accueil.
+function isSessionEnded(res) {
+  return res.status === 401 || (res.redirected && new URL(res.url).pathname === '/');
+}
+
+async function forgetPagesIfSessionEnded(res) {
+  if (isSessionEnded(res)) await caches.delete(PAGES_CACHE);
+  return res;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // connexion (autre compte possible) ou déconnexion : on oublie la page de l'utilisateur précédent
+  if (request.method === 'POST' && (url.pathname === '/login' || url.pathname === '/logout')) {
+    event.waitUntil(caches.delete(PAGES_CACHE));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  // page de l'app : réseau d'abord, dernière version connue sans réseau
+  if (request.mode === 'navigate' && OFFLINE_PAGES.includes(url.pathname)) {
+    event.respondWith((async () => {
+      try {
+        const res = await forgetPagesIfSessionEnded(await fetch(request));
+        // pas de mise en cache d'une redirection (session expirée -> accueil)
+        if (res.ok && !res.redirected) {
+          const cache = await caches.open(PAGES_CACHE);
+          await cache.put(url.pathname, res.clone());
+        }
+        return res;
+      } catch (err) {
+        const cached = await caches.match(url.pathname);
+        if (cached) return cached;
+        throw err;
+      }
+    })());
+    return;
+  }
+
+  // autres pages et API JSON : réseau seul, on regarde seulement si la session est toujours là
+  // (le flux SSE /api/events reste hors du service worker)
+  if (request.mode === 'navigate' || (url.pathname.startsWith('/api/') && url.pathname !== '/api/events')) {
+    event.respondWith(fetch(request).then(forgetPagesIfSessionEnded));
+    return;
+  }
+
+  // fichiers statiques : cache d'abord, mis à jour en arrière-plan
+  if (url.pathname.startsWith('/public/')) {
+    event.respondWith((async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      const cached = await cache.match(request);
+      const network = fetch(request).then(res => {
+        if (res.ok) cache.put(request, res.clone());
+        return res;
+      });
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      return network;
+    })());
+  }
+});
+
+//-------------file d'envoi hors ligne (Background Sync)---------------
+
+self.addEventListener('sync', event => {
+  if (event.tag !== UPLOAD_SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const sent = await flushUploadQueue(); // lève une erreur sans réseau : nouvel essai plus tard
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(w => w.postMessage({ type: 'upload-queue', sent }));
+  })());
+});
+
+//-------------notifications push---------------
+
+// payload envoyé par push.js : { title, body, url, tag }
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'Les Toilettes', {
+    body: data.body || '',
+    icon: '/public/images/icons/icon-192.png',
+    badge: '/public/images/icons/icon-192.png',
+    tag: data.tag,
+    data: { url: data.url || '/toilet-app' }
+  }));
+});
+
+// clic : réutiliser un onglet de l'app déjà ouvert, sinon en ouvrir un
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(w => w.url === url);
+    if (existing) return existing.focus();
+    return clients.openWindow(url);
+  })());
+});
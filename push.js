@@ -0,0 +1,195 @@
+/**
+ * Web Push (VAPID) : abonnements par appareil + préférences par catégorie.
+ *
+ *   subscribe(userId, subscription, userAgent) / unsubscribe(userId, endpoint)
+ *   getPreferences(userId) / setPreferences(userId, categories)
+ *   sendToUsers(userIds, category, payload)  -> payload { title, body, url, tag }
+ *   sendToAll(category, payload)
+ *
+ * Le message est chiffré et signé par web-push (generateRequestDetails), puis envoyé par
+ * `transport` (fetch par défaut, sans suivre les redirections).
+ *
+ * Le serveur envoie des requêtes à l'endpoint fourni par le navigateur : seuls les endpoints
+ * https sur un hôte public sont acceptés (IP privées, boucle locale, noms locaux refusés, et
+ * l'hôte est résolu avant chaque envoi). `allowLocalEndpoints` (PUSH_ALLOW_LOCAL_ENDPOINTS)
+ * accepte en plus http(s)://localhost|127.0.0.1|[::1] : faux service de push local, cf. test/push.test.js.
+ */
+
+const net = require('net');
+const dns = require('dns');
+const webpush = require('web-push');
+
+// catégories proposées dans /account ; sans préférence enregistrée, une catégorie est active
+const PUSH_CATEGORIES = {
+  moderation: 'Mes photos validées ou refusées',
+  comments: 'Commentaires sur mes photos',
+  quests: 'Nouvelles quêtes spéciales',
+  weekly_quests: 'Quêtes de la semaine (le lundi)',
+  daily_reset: 'Nouvelles quêtes du jour',
+  rewards: 'Récompenses débloquées',
+  digest: 'Résumé du soir (notifications non lues, photos à valider)'
+};
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// adresses non routables sur Internet : jamais un service de push
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+async function fetchTransport({ endpoint, method, headers, body }) {
+  const res = await fetch(endpoint, { method, headers, body, redirect: 'manual' });
+  return { statusCode: res.status };
+}
+
+function createPush({
+  pool, publicKey, privateKey, subject,
+  transport = fetchTransport, lookup = dns.promises.lookup, allowLocalEndpoints = false
+}) {
+  const enabled = Boolean(publicKey && privateKey);
+  const vapidDetails = enabled ? { subject: subject || 'mailto:admin@example.com', publicKey, privateKey } : null;
+
+  function isLocalEndpoint(url) {
+    return allowLocalEndpoints && ['http:', 'https:'].includes(url.protocol) && LOCAL_HOSTS.includes(url.hostname);
+  }
+
+  // vérification à l'abonnement (sans DNS) : https, hôte nommé avec un domaine ou IP publique
+  function isAllowedEndpoint(endpoint) {
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch {
+      return false;
+    }
+    if (isLocalEndpoint(url)) return true;
+    if (url.protocol !== 'https:' || url.username || url.password) return false;
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return !isPrivateAddress(host);
+    return host.includes('.') && !/\.(localhost|local|internal|lan|home|localdomain)$/i.test(host);
+  }
+
+  // avant chaque envoi : le nom peut résoudre vers une adresse privée (ou changer depuis l'abonnement)
+  async function resolvesPublic(endpoint) {
+    if (!isAllowedEndpoint(endpoint)) return false;
+    const url = new URL(endpoint);
+    if (isLocalEndpoint(url)) return true;
+
+    const addresses = await lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  }
+
+  async function subscribe(userId, subscription, userAgent = null) {
+    const { endpoint, keys = {} } = subscription || {};
+    if (typeof endpoint !== 'string' || !keys.p256dh || !keys.auth || !isAllowedEndpoint(endpoint)) {
+      throw new Error('Abonnement push invalide');
+    }
+
+    // un endpoint = un navigateur : il suit l'utilisateur connecté dessus
+    await pool.query(
+      `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (endpoint) DO UPDATE
+       SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth,
+           user_agent = EXCLUDED.user_agent, failures = 0`,
+      [userId, endpoint, keys.p256dh, keys.auth, userAgent]
+    );
+  }
+
+  async function unsubscribe(userId, endpoint) {
+    await pool.query('DELETE FROM push_subscriptions WHERE user_id = $1 AND endpoint = $2', [userId, endpoint]);
+  }
+
+  async function getPreferences(userId) {
+    const { rows } = await pool.query('SELECT category, enabled FROM push_preferences WHERE user_id = $1', [userId]);
+    return Object.fromEntries(Object.keys(PUSH_CATEGORIES).map(category => {
+      const row = rows.find(r => r.category === category);
+      return [category, row ? row.enabled : true];
+    }));
+  }
+
+  // categories : liste des catégories cochées (les autres sont désactivées)
+  async function setPreferences(userId, categories) {
+    for (const category of Object.keys(PUSH_CATEGORIES)) {
+      await pool.query(
+        `INSERT INTO push_preferences (user_id, category, enabled)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, category) DO UPDATE SET enabled = EXCLUDED.enabled`,
+        [userId, category, categories.includes(category)]
+      );
+    }
+  }
+
+  async function sendToSubscription(subscription, payload) {
+    // endpoint qui ne mène pas (ou plus) à un hôte public : abonnement supprimé, rien n'est envoyé
+    if (!(await resolvesPublic(subscription.endpoint))) {
+      await pool.query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+      return false;
+    }
+
+    const request = webpush.generateRequestDetails(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+      JSON.stringify(payload),
+      { vapidDetails, TTL: PUSH_TTL_SECONDS }
+    );
+    const { statusCode } = await transport(request);
+
+    // 404 / 410 : abonnement expiré ou révoqué côté navigateur
+    if (statusCode === 404 || statusCode === 410) {
+      await pool.query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+      return false;
+    }
+    if (statusCode < 200 || statusCode >= 300) {
+      await pool.query('UPDATE push_subscriptions SET failures = failures + 1 WHERE id = $1', [subscription.id]);
+      return false;
+    }
+    await pool.query('UPDATE push_subscriptions SET last_sent_at = NOW(), failures = 0 WHERE id = $1', [subscription.id]);
+    return true;
+  }
+
+  // userIds null : tous les abonnés
+  async function sendToUsers(userIds, category, payload) {
+    if (!enabled) return 0;
+    if (!PUSH_CATEGORIES[category]) throw new Error(`Catégorie push inconnue : ${category}`);
+
+    const { rows: subscriptions } = await pool.query(
+      `SELECT s.* FROM push_subscriptions s
+       WHERE ($1::int[] IS NULL OR s.user_id = ANY($1))
+         AND NOT EXISTS (
+           SELECT 1 FROM push_preferences p
+           WHERE p.user_id = s.user_id AND p.category = $2 AND NOT p.enabled
+         )`,
+      [userIds ? [].concat(userIds) : null, category]
+    );
+
+    let sent = 0;
+    for (const subscription of subscriptions) {
+      try {
+        if (await sendToSubscription(subscription, payload)) sent++;
+      } catch (err) {
+        console.error('Erreur envoi push:', err.message);
+      }
+    }
+    return sent;
+  }
+
+  function sendToAll(category, payload) {
+    return sendToUsers(null, category, payload);
+  }
+
+  return { enabled, publicKey, subscribe, unsubscribe, getPreferences, setPreferences, sendToUsers, sendToAll };
+}
+
+module.exports = { PUSH_CATEGORIES, createPush };
@@ -0,0 +1,242 @@
+/**
+ * Rotation automatique des quêtes à partir d'une bibliothèque de modèles (quest_templates).
+ *
+ *   plan(type, { offset, reroll })     -> tirage de la période (0 = courante, 1 = suivante),
+ *                                         gardé dans quest_rotations jusqu'à son application
+ *   apply(type)                        -> crée les quêtes de la période courante depuis le tirage,
+ *                                         désactive celles de la rotation précédente, tire la suivante
+ *   upcoming()                         -> prochains tirages (journalier, hebdo) pour l'admin
+ *   setNextAction(templateId, action)  -> 'pin' / 'skip' / null pour la prochaine rotation
+ *
+ * Tirage : modèles épinglés d'abord, puis tirage pondéré (weight) parmi les modèles actifs hors
+ * cooldown (cooldown_days depuis leur dernière période) ; chaque modèle déjà tiré partageant un tag
+ * divise le poids par TAG_PENALTY (variété). Faute de candidats, les modèles en cooldown utilisés
+ * le moins récemment complètent. Sans `reroll`, un tirage existant est gardé et seulement complété.
+ *
+ * plan et apply tournent en transaction sous un verrou par type (pg_advisory_xact_lock) : un tirage
+ * demandé depuis l'admin ne s'entrelace pas avec la rotation de la tâche planifiée.
+ */
+
+const ROTATION_TYPES = { 1: 'Journalière', 3: 'Hebdomadaire' };
+const TAG_PENALTY = 4;
+const LOCK_ID = 7302003; // pg_advisory_xact_lock(LOCK_ID, type) (cf. migrate.js : 7302001, server.js : 7302002)
+
+// période courante (offset 0) ou suivante (1) d'un type, en heure de Paris ;
+// même clé que QUEST_PERIOD_SQL (jour, ou semaine ISO pour les hebdo)
+const PERIOD_SQL = `
+  SELECT to_char(d, 'YYYY-MM-DD') AS period_start,
+    CASE WHEN $1::int = 3 THEN to_char(d, 'IYYY-"W"IW') ELSE to_char(d, 'YYYY-MM-DD') END AS period_key
+  FROM (
+    SELECT CASE WHEN $1::int = 3
+      THEN (date_trunc('week', NOW() AT TIME ZONE 'Europe/Paris') + make_interval(weeks => $2::int))::date
+      ELSE (NOW() AT TIME ZONE 'Europe/Paris')::date + $2::int
+    END AS d
+  ) p
+`;
+
+function createRotation({ pool, counts, random = Math.random }) {
+  async function getPeriod(type, offset, db = pool) {
+    const { rows } = await db.query(PERIOD_SQL, [type, offset]);
+    return rows[0];
+  }
+
+  async function getPlanned(type, periodKey, db = pool) {
+    const { rows } = await db.query(`
+      SELECT r.id AS rotation_id, t.*
+      FROM quest_rotations r
+      JOIN quest_templates t ON t.id = r.template_id
+      WHERE r.type = $1 AND r.period_key = $2 AND r.applied_at IS NULL
+      ORDER BY t.title
+    `, [type, periodKey]);
+    return rows;
+  }
+
+  // tirage pondéré sans remise
+  function weightedPick(candidates, count, alreadyChosen) {
+    const remaining = [...candidates];
+    const picked = [];
+    while (picked.length < count && remaining.length) {
+      const chosen = [...alreadyChosen, ...picked];
+      const weights = remaining.map(t => {
+        const sharing = chosen.filter(c => c.tags.some(tag => t.tags.includes(tag))).length;
+        return t.weight / Math.pow(TAG_PENALTY, sharing);
+      });
+      let r = random() * weights.reduce((sum, w) => sum + w, 0);
+      let i = 0;
+      while (i < remaining.length - 1 && (r -= weights[i]) >= 0) i++;
+      picked.push(remaining.splice(i, 1)[0]);
+    }
+    return picked;
+  }
+
+  // verrou du type, relâché au COMMIT / ROLLBACK
+  async function lock(type, client) {
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [LOCK_ID, type]);
+  }
+
+  // tirage : remplace le tirage non appliqué de la période (transaction et verrou du type requis)
+  async function draw(type, { offset, reroll }, db) {
+    const period = await getPeriod(type, offset, db);
+    const count = counts[type];
+
+    // candidats : modèles actifs non écartés, avec leur état pour la période visée
+    const { rows: templates } = await db.query(`
+      SELECT t.*,
+        (SELECT MAX(r.period_start) FROM quest_rotations r
+         WHERE r.template_id = t.id AND r.applied_at IS NOT NULL) AS last_used,
+        EXISTS (SELECT 1 FROM quest_rotations r
+         WHERE r.template_id = t.id AND r.applied_at IS NOT NULL
+           AND r.period_start > $2::date - t.cooldown_days) AS cooling,
+        EXISTS (SELECT 1 FROM quest_rotations r
+         WHERE r.template_id = t.id AND r.period_key = $3 AND r.applied_at IS NULL) AS planned
+      FROM quest_templates t
+      WHERE t.type = $1 AND t.active AND t.next_action IS DISTINCT FROM 'skip'
+    `, [type, period.period_start, period.period_key]);
+
+    const pinned = templates.filter(t => t.next_action === 'pin');
+    const kept = reroll ? [] : templates.filter(t => t.planned && t.next_action !== 'pin');
+    // des épinglés en plus : on retire des modèles déjà tirés pour rester à `count`
+    while (kept.length && pinned.length + kept.length > count) kept.splice(Math.floor(random() * kept.length), 1);
+
+    const chosen = [...pinned, ...kept];
+    const rest = templates.filter(t => !chosen.includes(t));
+    chosen.push(...weightedPick(rest.filter(t => !t.cooling), count - chosen.length, chosen));
+    chosen.push(...rest
+      .filter(t => t.cooling)
+      .sort((a, b) => a.last_used - b.last_used)
+      .slice(0, Math.max(0, count - chosen.length)));
+
+    await db.query(
+      'DELETE FROM quest_rotations WHERE type = $1 AND period_key = $2 AND applied_at IS NULL',
+      [type, period.period_key]
+    );
+    for (const template of chosen) {
+      await db.query(
+        `INSERT INTO quest_rotations (template_id, type, period_key, period_start)
+         VALUES ($1, $2, $3, $4::date)
+         ON CONFLICT (template_id, period_key) DO NOTHING`,
+        [template.id, type, period.period_key, period.period_start]
+      );
+    }
+    return { period, templates: chosen };
+  }
+
+  async function plan(type, { offset = 1, reroll = false } = {}) {
+    if (!ROTATION_TYPES[type]) throw new Error(`Type de rotation inconnu : ${type}`);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lock(type, client);
+      const result = await draw(type, { offset, reroll }, client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function apply(type) {
+    if (!ROTATION_TYPES[type]) throw new Error(`Type de rotation inconnu : ${type}`);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lock(type, client);
+
+      // 1️⃣ Période courante déjà appliquée (tâche relancée) : rien à faire
+      const period = await getPeriod(type, 0, client);
+      const { rowCount: alreadyApplied } = await client.query(
+        'SELECT 1 FROM quest_rotations WHERE type = $1 AND period_key = $2 AND applied_at IS NOT NULL',
+        [type, period.period_key]
+      );
+      if (alreadyApplied) {
+        await client.query('ROLLBACK');
+        return { period_key: period.period_key, created: [], already_applied: true };
+      }
+
+      // 2️⃣ Tirage préparé à l'avance, sinon tiré maintenant
+      let planned = await getPlanned(type, period.period_key, client);
+      if (planned.length === 0) {
+        await draw(type, { offset: 0, reroll: false }, client);
+        planned = await getPlanned(type, period.period_key, client);
+      }
+
+      // 3️⃣ Fin de la rotation précédente : ses quêtes sont désactivées (les quêtes créées à la main ne bougent pas)
+      await client.query(`
+        UPDATE quests SET active = FALSE
+        WHERE active AND id IN (
+          SELECT quest_id FROM quest_rotations
+          WHERE type = $1 AND period_key <> $2 AND quest_id IS NOT NULL
+        )
+      `, [type, period.period_key]);
+
+      // 4️⃣ Créer les quêtes (hebdo : du lundi 0h au dimanche 23h59:59, heure de Paris)
+      for (const template of planned) {
+        const { rows: [quest] } = await client.query(
+          `INSERT INTO quests (title, description, type, points, start_at, end_at, completion_mode, active)
+           VALUES ($1, $2, $3, $4,
+                   $6::date::timestamp AT TIME ZONE 'Europe/Paris',
+                   ($6::date + 7)::timestamp AT TIME ZONE 'Europe/Paris' - INTERVAL '1 second',
+                   $5, TRUE)
+           RETURNING id`,
+          [template.title, template.description, type, template.points, template.completion_mode,
+            type === 3 ? period.period_start : null]
+        );
+        await client.query(
+          'UPDATE quest_rotations SET quest_id = $1, applied_at = NOW() WHERE id = $2',
+          [quest.id, template.rotation_id]
+        );
+      }
+
+      // 5️⃣ Épinglages / exclusions consommés, tirage de la période suivante
+      await client.query('UPDATE quest_templates SET next_action = NULL WHERE type = $1 AND next_action IS NOT NULL', [type]);
+      const next = await draw(type, { offset: 1, reroll: false }, client);
+
+      await client.query('COMMIT');
+      return {
+        period_key: period.period_key,
+        created: planned.map(t => t.title),
+        next: next.templates.map(t => t.title)
+      };
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function upcoming() {
+    const rotations = [];
+    for (const type of Object.keys(ROTATION_TYPES).map(Number)) {
+      const period = await getPeriod(type, 1);
+      rotations.push({
+        type,
+        label: ROTATION_TYPES[type],
+        count: counts[type],
+        period,
+        templates: await getPlanned(type, period.period_key)
+      });
+    }
+    return rotations;
+  }
+
+  // action : 'pin' | 'skip' | null ; le tirage à venir est complété / corrigé aussitôt
+  async function setNextAction(templateId, action) {
+    const { rows } = await pool.query(
+      'UPDATE quest_templates SET next_action = $2 WHERE id = $1 RETURNING type',
+      [templateId, action]
+    );
+    if (!rows[0]) return false;
+    await plan(rows[0].type);
+    return true;
+  }
+
+  return { plan, apply, upcoming, setNextAction };
+}
+
+module.exports = { ROTATION_TYPES, createRotation };
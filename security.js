@@ -0,0 +1,140 @@
+/**
+ * En-têtes de sécurité (CSP...) et protection CSRF des requêtes qui modifient l'état.
+ *
+ *   securityHeaders({ imageHosts, styleHosts, fontHosts, frameHosts, reportUri, hsts }) -> CSP + en-têtes
+ *   createCsrf({ secret })                      -> { token(req), protect, checkMultipart }
+ *     protect : middleware global, vérifie le jeton des POST / PUT / PATCH / DELETE
+ *     checkMultipart : à placer juste après multer, vérifie le jeton reporté des formulaires multipart
+ *   cspReport(req, res)                         -> journalise les violations CSP
+ *
+ * Jeton CSRF : HMAC du device token (cookie httpOnly) ; rien à stocker, il suit l'appareil.
+ * Envoyé dans le champ `_csrf` des formulaires ou l'en-tête `X-CSRF-Token` (fetch). Formulaires
+ * multipart sans en-tête : leur corps n'est lu que plus tard par multer, le champ `_csrf` est
+ * vérifié par checkMultipart ; d'ici là, Origin ou Referer doit être le site lui-même (une route
+ * sans multer ne traite donc jamais un multipart venu d'ailleurs). Jamais dans l'URL : elle finit
+ * dans les journaux et les en-têtes Referer.
+ * En plus, une requête dont l'en-tête Origin n'est pas le site lui-même est refusée.
+ */
+
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+function securityHeaders({ imageHosts = [], styleHosts = [], fontHosts = [], frameHosts = [], reportUri = null, hsts = false } = {}) {
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'"],
+    'style-src': ["'self'", ...styleHosts],
+    'img-src': ["'self'", 'data:', 'blob:', ...imageHosts],
+    'connect-src': ["'self'", ...imageHosts], // téléchargement des photos depuis la lightbox
+    'font-src': ["'self'", ...fontHosts],
+    'frame-src': ["'self'", ...frameHosts],
+    'manifest-src': ["'self'"],
+    'worker-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"]
+  };
+  if (reportUri) directives['report-uri'] = [reportUri];
+
+  const csp = Object.entries(directives).map(([name, values]) => `${name} ${values.join(' ')}`).join('; ');
+
+  return (req, res, next) => {
+    res.set({
+      'Content-Security-Policy': csp,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+    });
+    if (hsts && req.secure) res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    next();
+  };
+}
+
+function createCsrf({ secret }) {
+  function token(req) {
+    return crypto.createHmac('sha256', secret).update(`csrf:${req.deviceToken}`).digest('base64url');
+  }
+
+  function isValid(req) {
+    const sent = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+    if (typeof sent !== 'string') return false;
+    const expected = Buffer.from(token(req));
+    const received = Buffer.from(sent);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  // Origin envoyé par le navigateur sur les requêtes cross-site : doit être le site lui-même
+  function isSameOrigin(req) {
+    const origin = req.get('origin');
+    if (!origin) return true;
+    try {
+      return new URL(origin).host === req.get('host');
+    } catch {
+      return false;
+    }
+  }
+
+  // multipart reporté : la provenance doit être attestée (Origin, sinon Referer)
+  function isFromSite(req) {
+    const source = req.get('origin') || req.get('referer');
+    if (!source) return false;
+    try {
+      return new URL(source).host === req.get('host');
+    } catch {
+      return false;
+    }
+  }
+
+  function reject(req, res) {
+    console.warn(`CSRF refusé : ${req.method} ${req.originalUrl} (ip ${req.ip}, origin ${req.get('origin') || '-'})`);
+    if (req.originalUrl.startsWith('/api/') || req.xhr || req.is('json')) {
+      return res.status(403).json({ error: 'Jeton CSRF invalide, rechargez la page.' });
+    }
+    res.status(403).send('Jeton CSRF invalide, rechargez la page.');
+  }
+
+  function protect(req, res, next) {
+    res.locals.csrfToken = token(req);
+    if (SAFE_METHODS.includes(req.method)) return next();
+    if (!isSameOrigin(req)) return reject(req, res);
+    if (isValid(req)) return next();
+    if (req.is('multipart/form-data') && isFromSite(req)) {
+      req.csrfDeferred = true;
+      return next();
+    }
+    reject(req, res);
+  }
+
+  function checkMultipart(req, res, next) {
+    if (!req.csrfDeferred || isValid(req)) return next();
+    reject(req, res);
+  }
+
+  return { token, protect, checkMultipart };
+}
+
+// corps : { "csp-report": {...} } (report-uri) ou [{ type, body }] (Reporting API)
+function cspReport(req, res) {
+  const reports = Array.isArray(req.body)
+    ? req.body.filter(r => r.type === 'csp-violation').map(r => r.body || {})
+    : [req.body && req.body['csp-report']].filter(Boolean);
+
+  reports.forEach(report => {
+    console.warn('Violation CSP :', JSON.stringify({
+      directive: report['violated-directive'] || report.effectiveDirective || report['effective-directive'],
+      blocked: report['blocked-uri'] || report.blockedURL,
+      page: report['document-uri'] || report.documentURL,
+      source: report['source-file'] || report.sourceFile,
+      line: report['line-number'] || report.lineNumber
+    }));
+  });
+  res.status(204).end();
+}
+
+module.exports = { CSRF_FIELD, securityHeaders, createCsrf, cspReport };
@@ -1,198 +1,290 @@
 /**
  * Serveur Express pour galerie photo (version avec users)
- * - Auth par utilisateur (users) + devices connus dans la table users
- * - Upload d'images vers Cloudinary
+ * - Auth par utilisateur (users) + sessions par appareil (table sessions)
+ * - Upload d'images via storage/ (Cloudinary ou disque local)
  * - PostgreSQL pour stocker URLs et utilisateurs
  */
 
 const fs = require('fs');
-const exif = require('exif-parser');
 const express = require('express');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const multer = require('multer');
-const { Pool } = require('pg');
 const dotenv = require('dotenv');
 const crypto = require('crypto');
-const cloudinary = require('cloudinary').v2;
+const createStorage = require('./storage');
+const images = require('./images');
+const { createNotifications } = require('./notifications');
+const { PUSH_CATEGORIES, createPush } = require('./push');
+const { createLive } = require('./live');
+const { createScheduler } = require('./jobs');
+const { ROTATION_TYPES, createRotation } = require('./rotation');
+const { securityHeaders, createCsrf, cspReport } = require('./security');
+const { createAppRegistry } = require('./apps');
+const { createVideoLookup, stubVideoLookup } = require('./youtube');
+const { createStats, toCsv, TABLE_NAMES, PERIOD_DAYS } = require('./stats');
 const bcrypt = require('bcrypt');
-const cron = require('node-cron');
+const { runMigrations } = require('./migrate');
 
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 10000;
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 90; // durée d'inactivité avant expiration
 
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
+app.set('trust proxy', 1); // Render : req.ip = IP du client (X-Forwarded-For)
+
+// --- En-têtes de sécurité : CSP (scripts du site uniquement, images Cloudinary / YouTube, Google Fonts,
+// lecteur YouTube sans cookies), cf. security.js ---
+app.use(securityHeaders({
+  imageHosts: ['https://res.cloudinary.com', 'https://i.ytimg.com'],
+  frameHosts: ['https://www.youtube-nocookie.com'],
+  styleHosts: ['https://fonts.googleapis.com'],
+  fontHosts: ['https://fonts.gstatic.com'],
+  reportUri: '/csp-report',
+  hsts: process.env.NODE_ENV === 'production'
+}));
 
 app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
 app.use(cookieParser());
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-// --- Cloudinary config ---
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// --- PostgreSQL ---
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false } // Render Postgres requiert SSL
-});
-
-// --- initialisation DB ---
-async function initDb() {
-  // table users
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      id SERIAL PRIMARY KEY,
-      username VARCHAR(50) UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      devices TEXT[],
-      profile_pic TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+// --- Stockage des fichiers (Cloudinary ou disque local, cf. STORAGE_DRIVER) ---
+const storage = createStorage();
+storage.mount(app);
 
-  // table photos
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS photos (
-      id SERIAL PRIMARY KEY,
-      filename VARCHAR(255) NOT NULL,
-      url TEXT NOT NULL,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      taken_at TIMESTAMPTZ,
-      uploaded_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+// --- PostgreSQL (schéma géré par les migrations de migrations/, cf. migrate.js) ---
+const pool = require('./db');
 
-  // table pending_photos
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS pending_photos (
-      id SERIAL PRIMARY KEY,
-      filename VARCHAR(255) NOT NULL,
-      url TEXT NOT NULL,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      device_token TEXT,
-      quest_id INTEGER,
-      taken_at TIMESTAMPTZ,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+// --- Web Push (VAPID, cf. push.js) : désactivé tant que les clés ne sont pas configurées ---
+const push = createPush({
+  pool,
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  subject: process.env.VAPID_SUBJECT,
+  allowLocalEndpoints: process.env.PUSH_ALLOW_LOCAL_ENDPOINTS === 'true'
+});
+if (!push.enabled) console.warn('VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY absents : notifications push désactivées');
+
+// --- Notifications in-app (cf. notifications.js), relayées en push ---
+const notifications = createNotifications({ pool, push });
+
+// --- Temps réel : événements poussés aux pages ouvertes (SSE, cf. live.js) ---
+const live = createLive();
+
+// --- Tâches planifiées (cf. jobs.js) : déclarées en fin de fichier, programmées au démarrage ---
+const jobs = createScheduler({ pool, timezone: 'Europe/Paris' });
+
+// --- Apps du hub (cf. apps/) : réglages chargés au démarrage, routers montés après les helpers ---
+const hubApps = createAppRegistry({ pool });
+
+// --- Métadonnées YouTube (file vidéo) : oEmbed, un serveur local qui l'imite, ou "stub" (hors ligne) ---
+const videoLookup = process.env.YOUTUBE_OEMBED_URL === 'stub'
+  ? stubVideoLookup
+  : createVideoLookup({ endpoint: process.env.YOUTUBE_OEMBED_URL || undefined });
+
+// --- Quêtes disponibles ---
+// `active` est l'interrupteur manuel de l'admin ; la période (spéciales/hebdo)
+// et les jours de récurrence (journalières) sont évalués à la volée, en heure de Paris.
+const QUEST_AVAILABLE_SQL = `
+  active = true
+  AND (type != 3 OR (start_at <= NOW() AND end_at >= NOW()))
+  AND (type != 2 OR ((start_at IS NULL OR start_at <= NOW()) AND (end_at IS NULL OR end_at >= NOW())))
+  AND (type != 1 OR weekdays IS NULL
+    OR EXTRACT(ISODOW FROM CURRENT_TIMESTAMP AT TIME ZONE 'Europe/Paris')::int = ANY(weekdays))
+`;
+
+// Période courante d'une quête : semaine ISO pour les hebdo, jour pour les journalières et spéciales.
+// Une complétion est rattachée à cette clé : rien à remettre à zéro, la période suivante repart vierge.
+const QUEST_PERIOD_SQL = `
+  CASE WHEN type = 3
+    THEN to_char(CURRENT_TIMESTAMP AT TIME ZONE 'Europe/Paris', 'IYYY-"W"IW')
+    ELSE to_char(CURRENT_TIMESTAMP AT TIME ZONE 'Europe/Paris', 'YYYY-MM-DD')
+  END
+`;
+
+const QUEST_TYPES = { 1: 'Quotidienne', 2: 'Spéciale', 3: 'Hebdomadaire' };
+const COMPLETION_MODES = { everyone: 'Tout le monde', first: 'Le premier gagne' };
+const WEEKDAYS = { 1: 'Lun', 2: 'Mar', 3: 'Mer', 4: 'Jeu', 5: 'Ven', 6: 'Sam', 7: 'Dim' };
+
+// --- Statistiques de l'admin (cf. stats.js) ---
+const stats = createStats({ pool, timezone: 'Europe/Paris', questTypes: QUEST_TYPES });
+
+// --- Rotation automatique : N quêtes journalières chaque jour, M hebdomadaires chaque lundi (cf. rotation.js) ---
+// 0 est un réglage valide (rotation coupée, seuls les modèles épinglés sont tirés) ;
+// valeur absente ou invalide : défaut
+function rotationCount(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+  const count = Number(value);
+  if (Number.isInteger(count) && count >= 0) return count;
+  console.warn(`${name} invalide (${value}) : ${fallback} par défaut`);
+  return fallback;
+}
 
-  // table quests
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS quests (
-      id SERIAL PRIMARY KEY,
-      title TEXT NOT NULL,
-      description TEXT,
-      type TEXT,
-      points INTEGER DEFAULT 0,
-      start_at TIMESTAMPTZ,
-      end_at TIMESTAMPTZ,
-      active BOOLEAN DEFAULT TRUE,
-      completed BOOLEAN DEFAULT FALSE
-    );
-  `);
+const questRotation = createRotation({
+  pool,
+  counts: {
+    1: rotationCount('ROTATION_DAILY_COUNT', 3),
+    3: rotationCount('ROTATION_WEEKLY_COUNT', 1)
+  }
+});
 
-  // table global_progress
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS global_progress (
-      id SERIAL PRIMARY KEY,
-      points INTEGER DEFAULT 0
-    );
-  `);
+// --- Helper: validation du formulaire de quête (création / édition) ---
+// Les dates arrivent d'un <input type="datetime-local"> : heure de Paris, converties en SQL.
+function parseQuestForm(body) {
+  const type = parseInt(body.type, 10);
+  if (!QUEST_TYPES[type]) return { error: 'Type de quête inconnu' };
 
-  // table rewards
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS rewards (
-      id SERIAL PRIMARY KEY,
-      points_required INTEGER,
-      description TEXT
-    );
-  `);
+  const title = (body.title || '').trim();
+  if (!title) return { error: 'Titre manquant' };
 
-    // table system_status : stocke la date du dernier reset quotidien
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS system_status (
-      id INTEGER PRIMARY KEY,
-      last_daily_reset DATE
-    );
-  `);
+  const scheduled = type === 2 || type === 3; // seules les spéciales et hebdo ont une période
+  const startAt = scheduled ? body.start_at || null : null;
+  const endAt = scheduled ? body.end_at || null : null;
+  if (type === 3 && (!startAt || !endAt)) {
+    return { error: 'Une quête hebdomadaire doit avoir une date de début et de fin' };
+  }
+  if (startAt && endAt && startAt >= endAt) return { error: 'La fin doit être après le début' };
+
+  const completionMode = COMPLETION_MODES[body.completion_mode] ? body.completion_mode : 'everyone';
+
+  const weekdays = type === 1
+    ? [].concat(body.weekdays || []).map(d => parseInt(d, 10)).filter(d => WEEKDAYS[d])
+    : [];
+
+  return {
+    quest: {
+      title,
+      description: body.description || '',
+      type,
+      points: parseInt(body.points, 10) || 0,
+      startAt,
+      endAt,
+      weekdays: weekdays.length ? weekdays : null,
+      completionMode
+    }
+  };
+}
 
-  // s'assurer qu'il y a une ligne id=1 (ON CONFLICT évite les doublons)
-  await pool.query(`
-    INSERT INTO system_status (id, last_daily_reset)
-    VALUES (1, NULL)
-    ON CONFLICT (id) DO NOTHING
-  `);
+// --- Helper: validation du formulaire de modèle de quête (rotation) ---
+// tags : liste séparée par des virgules ; cooldown : jours avant qu'un modèle puisse revenir
+function parseTemplateForm(body) {
+  const type = parseInt(body.type, 10);
+  if (!ROTATION_TYPES[type]) return { error: 'Type de modèle inconnu' };
+
+  const title = (body.title || '').trim();
+  if (!title) return { error: 'Titre manquant' };
+
+  const weight = parseInt(body.weight, 10);
+  const cooldownDays = parseInt(body.cooldown_days, 10);
+  const tags = [...new Set((body.tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+  return {
+    template: {
+      type,
+      title,
+      description: body.description || '',
+      points: parseInt(body.points, 10) || 0,
+      completionMode: COMPLETION_MODES[body.completion_mode] ? body.completion_mode : 'everyone',
+      weight: weight > 0 ? weight : 1,
+      tags,
+      cooldownDays: cooldownDays >= 0 ? cooldownDays : (type === 3 ? 28 : 7)
+    }
+  };
+}
 
-  console.log('✅ Toutes les tables vérifiées/créées');
+// --- Helper: quêtes disponibles + état pour un utilisateur (période courante) ---
+// completed : validée par l'utilisateur ; pending : photo en attente ; winner : premier validé (mode 'first')
+async function getQuestsForUser(userId, questId = null, db = pool) {
+  const { rows } = await db.query(`
+    SELECT q.*, pk.period_key,
+      EXISTS (
+        SELECT 1 FROM quest_completions c
+        WHERE c.quest_id = q.id AND c.user_id = $1 AND c.period_key = pk.period_key
+      ) AS completed,
+      EXISTS (
+        SELECT 1 FROM pending_photos p
+        WHERE p.quest_id = q.id AND p.user_id = $1 AND p.period_key = pk.period_key
+      ) AS pending,
+      (
+        SELECT u.username FROM quest_completions c
+        JOIN users u ON u.id = c.user_id
+        WHERE c.quest_id = q.id AND c.period_key = pk.period_key
+        ORDER BY c.created_at ASC
+        LIMIT 1
+      ) AS winner
+    FROM quests q
+    CROSS JOIN LATERAL (SELECT ${QUEST_PERIOD_SQL} AS period_key) pk
+    WHERE ${QUEST_AVAILABLE_SQL}
+      AND ($2::int IS NULL OR q.id = $2)
+    ORDER BY q.id DESC
+  `, [userId, questId]);
+
+  // mode 'first' : remportée par un autre = plus jouable pour cette période
+  return rows.map(q => ({
+    ...q,
+    taken: q.completion_mode === 'first' && !!q.winner && !q.completed
+  }));
 }
 
-// --- Helper: mise à jour des quêtes hebdomadaires ---
-async function refreshWeeklyQuestsActive() {
-  await pool.query(`
-    UPDATE quests
-    SET active = COALESCE(CURRENT_DATE BETWEEN start_at AND end_at, false)
-    WHERE type = 3
+// --- Helper: paliers de récompense + date à laquelle le total collectif les a atteints ---
+// unlocked = palier <= total actuel, même sans date de franchissement (palier à 0, ledger vide)
+async function getRewards() {
+  const { rows } = await pool.query(`
+    WITH running AS (
+      SELECT created_at, SUM(points) OVER (ORDER BY created_at, id) AS total
+      FROM points_ledger
+    ), current AS (
+      SELECT COALESCE(SUM(points), 0) AS total FROM points_ledger
+    )
+    SELECT r.id, r.points_required, r.description, r.svg,
+      COALESCE(r.points_required <= current.total, FALSE) AS unlocked,
+      (SELECT MIN(created_at) FROM running WHERE total >= r.points_required) AS reached_at
+    FROM rewards r, current
+    ORDER BY r.points_required ASC
   `);
+  return rows;
 }
 
-// --- Helper: reset quotidien des quêtes journalières + spéciales si nécessaire ---
-async function ensureDailyReset() {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-
-    // s'assurer qu'il y a bien la ligne de status (id=1)
-    await client.query(`
-      INSERT INTO system_status (id, last_daily_reset)
-      VALUES (1, NULL)
-      ON CONFLICT (id) DO NOTHING
-    `);
-
-    // On demande au serveur Postgres si la dernière reset est < date courante
-    // Ici on utilise la date en fuseau 'Europe/Paris' pour être cohérent avec ton cron.
-    const { rows } = await client.query(`
-      SELECT (COALESCE(last_daily_reset, '1970-01-01') < (CURRENT_TIMESTAMP AT TIME ZONE 'Europe/Paris')::date) AS needs_reset
-      FROM system_status
-      WHERE id = 1
-      FOR UPDATE
-    `);
-
-    const needsReset = rows.length ? rows[0].needs_reset : true;
-
-    if (needsReset) {
-      // 1) reset des flags completed pour type 1 (journ.) et 2 (special)
-      await client.query(`
-        UPDATE quests
-        SET completed = FALSE
-        WHERE type IN (1,2)
-      `);
-
-      // 2) mettre à jour last_daily_reset à la date du jour (Paris)
-      await client.query(`
-        UPDATE system_status
-        SET last_daily_reset = (CURRENT_TIMESTAMP AT TIME ZONE 'Europe/Paris')::date
-        WHERE id = 1
-      `);
+// --- Helper: total des points (somme du ledger) ---
+async function getTotalPoints() {
+  const { rows } = await pool.query('SELECT COALESCE(SUM(points), 0)::int AS points FROM points_ledger');
+  return rows[0].points;
+}
 
-      console.log('✅ Reset quotidien effectué (ensureDailyReset)');
-    }
+// --- Helper: classement des utilisateurs sur une période ---
+// period : 'all' (depuis toujours), 'week' (semaine en cours), 'today' (aujourd'hui), en heure de Paris
+const LEADERBOARD_PERIODS = { all: null, week: 'week', today: 'day' };
+
+async function getLeaderboard(period) {
+  const unit = LEADERBOARD_PERIODS[period] || null;
+  const { rows } = await pool.query(`
+    SELECT u.id, u.username, u.profile_pic, SUM(l.points)::int AS points
+    FROM points_ledger l
+    JOIN users u ON u.id = l.user_id
+    WHERE $1::text IS NULL
+       OR l.created_at >= date_trunc($1::text, CURRENT_TIMESTAMP AT TIME ZONE 'Europe/Paris') AT TIME ZONE 'Europe/Paris'
+    GROUP BY u.id
+    ORDER BY points DESC, u.username ASC
+    LIMIT 50
+  `, [unit]);
+  return rows;
+}
 
-    await client.query('COMMIT');
-  } catch (err) {
-    await client.query('ROLLBACK').catch(() => {});
-    console.error('Erreur ensureDailyReset:', err);
-    // ne pas re-jeter l'erreur: on veut que la route continue (affichage) même si reset échoue
-  } finally {
-    client.release();
-  }
+// --- Helper: poser le cookie device_token ---
+function setDeviceCookie(req, res, token, maxAge) {
+  const isSecure = req.protocol === 'https' || (req.get('x-forwarded-proto') === 'https');
+  res.cookie('device_token', token, {
+    maxAge,
+    httpOnly: true,
+    secure: isSecure,
+    sameSite: 'lax'
+  });
 }
 
 // --- Middleware device token ---
@@ -200,87 +292,546 @@ app.use((req, res, next) => {
   let token = req.cookies.device_token;
   if (!token) {
     token = crypto.randomBytes(16).toString('hex');
-    const isSecure = req.protocol === 'https' || (req.get('x-forwarded-proto') === 'https');
-    res.cookie('device_token', token, {
-      maxAge: 1000 * 60 * 60 * 24 * 365 * 5,
-      httpOnly: true,
-      secure: isSecure,
-      sameSite: 'lax'
-    });
+    setDeviceCookie(req, res, token, 1000 * 60 * 60 * 24 * 365 * 5);
   }
   req.deviceToken = token;
   next();
 });
 
+// --- Violations CSP remontées par le navigateur (journalisées ; pas de jeton CSRF possible) ---
+app.post('/csp-report', express.json({ type: ['application/csp-report', 'application/reports+json'], limit: '20kb' }), cspReport);
+
+// --- CSRF : jeton exigé sur tous les POST / DELETE (formulaires : champ _csrf, fetch : X-CSRF-Token) ---
+if (!process.env.CSRF_SECRET) console.warn('CSRF_SECRET absent : secret aléatoire, les pages ouvertes avant un redémarrage devront être rechargées');
+const csrf = createCsrf({ secret: process.env.CSRF_SECRET || crypto.randomBytes(32).toString('hex') });
+app.use(csrf.protect);
+
 // Middleware pour vérifier si l'utilisateur est connecté
+// (erreur base de données : transmise à Express, sinon la requête resterait sans réponse)
 async function requireLogin(req, res, next) {
-  const user = await getUserByDevice(req.deviceToken);
+  let user;
+  try {
+    user = await getUserByDevice(req.deviceToken);
+  } catch (err) {
+    return next(err);
+  }
+  const isApi = req.originalUrl.startsWith('/api/'); // routes JSON : pas de redirection
   if (!user) {
+    if (isApi) return res.status(401).json({ error: 'Non connecté' });
     return res.redirect('/'); // redirige à l'accueil si pas connecté
   }
+  if (user.must_change_password && !req.path.startsWith('/account')) {
+    if (isApi) return res.status(403).json({ error: 'Changement de mot de passe requis' });
+    return res.redirect('/account'); // mot de passe par défaut : changement obligatoire
+  }
   req.user = user; // stocke l'utilisateur pour les routes
   next();
 }
 
-// Middleware pour restreindre l'accès à l'admin à Nicolas
-async function requireAdmin(req, res, next) {
-  const user = await getUserByDevice(req.deviceToken);
-  if (!user) {
-    return res.redirect('/'); // pas connecté
-  }
+// --- Rôles & permissions ---
+// Chaque route /admin/* vérifie une permission précise plutôt qu'un nom d'utilisateur.
+const ROLE_PERMISSIONS = {
+  admin: [
+    'admin.view', 'pending.moderate', 'photos.delete', 'users.manage', 'users.roles',
+    'quests.manage', 'rewards.manage', 'audit.view', 'comments.delete', 'jobs.manage', 'apps.manage',
+    'videos.manage', 'stats.view'
+  ],
+  moderator: ['admin.view', 'pending.moderate', 'videos.manage'],
+  member: []
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// premier admin : défini par la variable d'environnement ADMIN_USERNAME
+async function bootstrapAdmin() {
+  if (!process.env.ADMIN_USERNAME) return;
+  await pool.query(`UPDATE users SET role = 'admin' WHERE username = $1`, [process.env.ADMIN_USERNAME]);
+}
 
-  if (user.username !== 'Nicolas') {
-    return res.status(403).send('Accès refusé'); // utilisateur non autorisé
-  }
+function hasPermission(user, permission) {
+  return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
 
-  req.user = user; // stocke l'utilisateur
-  next();
+// Middleware pour restreindre une route aux utilisateurs ayant la permission demandée
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await getUserByDevice(req.deviceToken);
+    } catch (err) {
+      return next(err); // cf. requireLogin
+    }
+    if (!user) {
+      return res.redirect('/'); // pas connecté
+    }
+
+    if (!hasPermission(user, permission)) {
+      return res.status(403).send('Accès refusé'); // utilisateur non autorisé
+    }
+
+    if (user.must_change_password) {
+      return res.redirect('/account'); // mot de passe par défaut : changement obligatoire
+    }
+
+    req.user = user; // stocke l'utilisateur
+    next();
+  };
 }
 
-// --- Helper: récupérer l’utilisateur depuis son device ---
+// --- Helper: récupérer l’utilisateur depuis son device (session active) ---
 async function getUserByDevice(token) {
   const { rows } = await pool.query(
-    `SELECT * FROM users WHERE $1 = ANY(devices) LIMIT 1`,
+    `SELECT u.*, s.id AS session_id
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+     LIMIT 1`,
     [token]
   );
-  return rows[0] || null;
+  const user = rows[0] || null;
+
+  // last_seen + prolongation de la session (au plus une écriture par minute)
+  if (user) {
+    await pool.query(
+      `UPDATE sessions
+       SET last_seen_at = NOW(), expires_at = NOW() + $2 * INTERVAL '1 day'
+       WHERE id = $1 AND last_seen_at < NOW() - INTERVAL '1 minute'`,
+      [user.session_id, SESSION_TTL_DAYS]
+    );
+  }
+  return user;
+}
+
+// --- Helper: libellé lisible d'un user agent (pour la liste des appareils) ---
+function describeUserAgent(ua) {
+  if (!ua) return 'Appareil inconnu';
+  const device = /iPhone/.test(ua) ? 'iPhone'
+    : /iPad/.test(ua) ? 'iPad'
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X/.test(ua) ? 'Mac'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'Appareil';
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : null;
+  return browser ? `${device} · ${browser}` : device;
+}
+
+// --- Protection brute-force du login ---
+// Au-delà de `free` échecs sur la fenêtre `window`, chaque nouvel échec double la durée de
+// blocage : 1 min, 2 min, 4 min... plafonné à 1h. Par compte, une connexion réussie remet le
+// compteur à zéro ; par IP, non : sinon se connecter à son propre compte entre deux essais
+// suffirait à ne jamais être bloqué.
+const LOGIN_THROTTLE = {
+  username: { free: 5, window: '24 hours', resetOnSuccess: true },
+  ip: { free: 20, window: '1 hour', resetOnSuccess: false } // plus tolérant : IP partagée possible
+};
+const LOGIN_LOCK_BASE_MS = 60 * 1000;
+const LOGIN_LOCK_MAX_MS = 60 * 60 * 1000;
+const LOGIN_ERROR = 'Identifiant ou mot de passe incorrect';
+const LOGIN_LOCKED_ERROR = 'Trop de tentatives. Réessayez dans quelques minutes.';
+
+// hash factice : bcrypt.compare est exécuté même si l'utilisateur n'existe pas (temps de réponse identique)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// renvoie la date de fin de blocage (ou null) pour une colonne 'username' ou 'ip'
+async function getLoginLockedUntil(column, value) {
+  const throttle = LOGIN_THROTTLE[column];
+  if (!value || !throttle) return null;
+  const { rows } = await pool.query(`
+    SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure
+    FROM login_attempts
+    WHERE ${column} = $1
+      AND success = FALSE
+      AND created_at > NOW() - $2::interval
+      AND ($3::boolean IS FALSE OR created_at > COALESCE(
+        (SELECT MAX(created_at) FROM login_attempts WHERE ${column} = $1 AND success = TRUE),
+        '-infinity'
+      ))
+  `, [value, throttle.window, throttle.resetOnSuccess]);
+
+  return lockEnd(rows[0], throttle.free);
+}
+
+// fin du blocage progressif après `failures` échecs (null s'il reste des essais libres)
+function lockEnd({ failures, last_failure }, free) {
+  const extra = failures - free;
+  if (extra < 0) return null;
+
+  const lockMs = Math.min(LOGIN_LOCK_BASE_MS * 2 ** extra, LOGIN_LOCK_MAX_MS);
+  const lockedUntil = new Date(new Date(last_failure).getTime() + lockMs);
+  return lockedUntil > new Date() ? lockedUntil : null;
+}
+
+async function recordLoginAttempt(req, username, success) {
+  await pool.query(
+    'INSERT INTO login_attempts (username, ip, user_agent, success) VALUES ($1, $2, $3, $4)',
+    [username || null, req.ip, req.get('user-agent') || null, success]
+  );
+}
+
+// --- Mots de passe ---
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_RESET_TTL_HOURS = 24;
+
+// renvoie un message d'erreur, ou null si le nouveau mot de passe est acceptable
+function validateNewPassword(password, confirm, username) {
+  if (!password || password.length < PASSWORD_MIN_LENGTH) {
+    return `Le mot de passe doit contenir au moins ${PASSWORD_MIN_LENGTH} caractères`;
+  }
+  if (password !== confirm) return 'Les deux mots de passe ne correspondent pas';
+  if (username && password.toLowerCase() === username.toLowerCase()) {
+    return 'Le mot de passe ne peut pas être ton prénom';
+  }
+  return null;
+}
+
+// db : pool ou client d'une transaction en cours
+async function setPassword(userId, password, db = pool) {
+  const passHash = await bcrypt.hash(password, 10);
+  await db.query(
+    `UPDATE users
+     SET password_hash = $1, must_change_password = FALSE, password_changed_at = NOW()
+     WHERE id = $2`,
+    [passHash, userId]
+  );
+}
+
+// code lisible (sans 0/O/1/I) : seul son hash sha256 est stocké
+function generateResetCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(10);
+  return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+}
+
+function hashResetCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
+
+// Essais de code : même blocage progressif que le login, compteur à part (password_reset_attempts),
+// par compte saisi et par IP, sur une fenêtre fixe jamais remise à zéro par un succès
+const RESET_CODE_THROTTLE = {
+  username: { free: 5, window: '24 hours' },
+  ip: { free: 10, window: '1 hour' }
+};
+
+async function getResetLockedUntil(column, value) {
+  const throttle = RESET_CODE_THROTTLE[column];
+  if (!value || !throttle) return null;
+  const { rows } = await pool.query(`
+    SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure
+    FROM password_reset_attempts
+    WHERE ${column} = $1 AND success = FALSE AND created_at > NOW() - $2::interval
+  `, [value, throttle.window]);
+  return lockEnd(rows[0], throttle.free);
+}
+
+async function recordResetAttempt(req, username, success, db = pool) {
+  await db.query(
+    'INSERT INTO password_reset_attempts (username, ip, success) VALUES ($1, $2, $3)',
+    [username || null, req.ip, success]
+  );
 }
 
 // --- Multer (mémoire) ---
+// photos ré-encodées côté serveur (images.js) : la limite ne sert qu'à borner la mémoire
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5 Mo
+  limits: { fileSize: 25 * 1024 * 1024 }, // 25 Mo
+  fileFilter: (req, file, cb) => {
+    if (images.isAcceptedImage(file)) cb(null, true);
+    else cb(new Error('Formats autorisés: JPG, PNG, WEBP, HEIC'));
+  }
+});
+
+// --- Photos : image traitée + miniatures dans le stockage ---
+// thumbnails = { "<largeur>": { key, url } }, stocké tel quel en JSONB
+async function storePhoto(processed, folder) {
+  const stored = await storage.put(processed.image, { folder, contentType: processed.contentType });
+  const thumbnails = {};
+  for (const thumb of processed.thumbnails) {
+    const { key, url } = await storage.put(thumb.buffer, { folder: `${folder}/thumbs`, contentType: processed.contentType });
+    thumbnails[thumb.size] = { key, url };
+  }
+  return { ...stored, thumbnails };
+}
+
+// movedFiles : journal { from, to } des déplacements, pour les annuler (restoreMovedFiles)
+async function moveFile(key, folder, movedFiles) {
+  const moved = await storage.move(key, folder);
+  movedFiles.push({ from: key, to: moved.key });
+  return moved;
+}
+
+async function moveThumbnails(thumbnails, folder, movedFiles) {
+  if (!thumbnails) return null;
+  const moved = {};
+  for (const [size, thumb] of Object.entries(thumbnails)) {
+    moved[size] = await moveFile(thumb.key, `${folder}/thumbs`, movedFiles);
+  }
+  return moved;
+}
+
+// remet les fichiers à leur place d'origine (transaction annulée après un déplacement)
+async function restoreMovedFiles(movedFiles) {
+  for (const { from, to } of movedFiles.reverse()) {
+    await storage.move(to, path.posix.dirname(from))
+      .catch(err => console.error(`Fichier ${to} non remis en ${from}:`, err.message));
+  }
+}
+
+async function removeThumbnails(thumbnails) {
+  for (const thumb of Object.values(thumbnails || {})) {
+    await storage.remove(thumb.key);
+  }
+}
+
+// --- Helpers de vue : miniature la plus proche (photos d'avant le traitement : image d'origine) ---
+function thumbnailUrl(photo, width = images.THUMBNAIL_SIZES[0]) {
+  const thumb = photo.thumbnails && photo.thumbnails[width];
+  return thumb ? thumb.url : photo.url;
+}
+
+function thumbnailSrcset(photo) {
+  return Object.entries(photo.thumbnails || {})
+    .map(([width, thumb]) => `${thumb.url} ${width}w`)
+    .join(', ');
+}
+
+app.locals.thumbnailUrl = thumbnailUrl;
+app.locals.thumbnailSrcset = thumbnailSrcset;
+
+// --- Réactions & commentaires sur les photos ---
+const REACTION_EMOJIS = ['😂', '🔥', '👏', '😮', '💩'];
+const COMMENT_MAX_LENGTH = 500;
+
+// réactions / commentaires des autres sur la photo `p` depuis la dernière visite de son uploader
+const PHOTO_NEW_ACTIVITY_SQL = `(
+  (SELECT COUNT(*) FROM photo_reactions r
+   WHERE r.photo_id = p.id AND r.user_id <> p.user_id
+     AND r.created_at > COALESCE(p.owner_seen_at, '-infinity'))
+  + (SELECT COUNT(*) FROM photo_comments c
+   WHERE c.photo_id = p.id AND c.user_id IS DISTINCT FROM p.user_id
+     AND c.created_at > COALESCE(p.owner_seen_at, '-infinity'))
+)::int`;
+
+// compteur par emoji (tous les emojis autorisés, même à 0) + réactions de l'utilisateur
+async function getPhotoReactions(photoId, userId) {
+  const { rows } = await pool.query(`
+    SELECT emoji, COUNT(*)::int AS count, BOOL_OR(user_id = $2) AS mine
+    FROM photo_reactions
+    WHERE photo_id = $1
+    GROUP BY emoji
+  `, [photoId, userId]);
+  return REACTION_EMOJIS.map(emoji => {
+    const row = rows.find(r => r.emoji === emoji);
+    return { emoji, count: row ? row.count : 0, mine: row ? row.mine : false };
+  });
+}
+
+// liste à plat (ordre chronologique) ; le fil est reconstruit côté client via parent_id
+async function getPhotoComments(photoId, viewer) {
+  const { rows } = await pool.query(`
+    SELECT c.id, c.parent_id, c.body, c.created_at, c.user_id, u.username, u.profile_pic
+    FROM photo_comments c
+    LEFT JOIN users u ON u.id = c.user_id
+    WHERE c.photo_id = $1
+    ORDER BY c.created_at, c.id
+  `, [photoId]);
+  return rows.map(c => serializeComment(c, viewer));
+}
+
+function serializeComment(comment, viewer) {
+  return {
+    id: comment.id,
+    parent_id: comment.parent_id,
+    body: comment.body,
+    created_at: comment.created_at,
+    user: comment.user_id ? { id: comment.user_id, username: comment.username, profile_pic: comment.profile_pic } : null,
+    can_delete: comment.user_id === viewer.id || hasPermission(viewer, 'comments.delete')
+  };
+}
+
+// --- Galerie : pagination par curseur ---
+// Tri par date affichée (prise de vue, sinon upload) puis id ; le curseur encode le couple
+// (date en texte Postgres, id) de la dernière photo renvoyée, pour une comparaison exacte.
+const PHOTOS_PAGE_SIZE = 30;
+const PHOTOS_MAX_PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function encodePhotoCursor(photo) {
+  return Buffer.from(JSON.stringify([photo.sort_key, photo.id])).toString('base64url');
+}
+
+function decodePhotoCursor(cursor) {
+  try {
+    const [sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof sortKey !== 'string' || isNaN(Date.parse(sortKey)) || !Number.isInteger(id)) return null;
+    return { sortKey, id };
+  } catch {
+    return null;
+  }
+}
+
+// filtres (query string) : user, quest (ids), from / to (jours YYYY-MM-DD, heure de Paris, inclus)
+function parsePhotoFilters(query) {
+  const userId = parseInt(query.user, 10);
+  const questId = parseInt(query.quest, 10);
+  return {
+    userId: Number.isInteger(userId) ? userId : null,
+    questId: Number.isInteger(questId) ? questId : null,
+    from: DATE_PATTERN.test(query.from || '') ? query.from : null,
+    to: DATE_PATTERN.test(query.to || '') ? query.to : null
+  };
+}
+
+// viewerId : l'uploader voit en plus le nombre de réactions / commentaires qu'il n'a pas encore vus
+async function listPhotos({ userId = null, questId = null, from = null, to = null } = {}, { cursor = null, limit = PHOTOS_PAGE_SIZE, viewerId = null } = {}) {
+  const after = cursor ? decodePhotoCursor(cursor) : null;
+  const { rows } = await pool.query(`
+    SELECT p.*, COALESCE(p.taken_at, p.uploaded_at)::text AS sort_key,
+      u.username, u.profile_pic, q.title AS quest_title,
+      (SELECT COUNT(*) FROM photo_reactions r WHERE r.photo_id = p.id)::int AS reaction_count,
+      (SELECT COUNT(*) FROM photo_comments c WHERE c.photo_id = p.id)::int AS comment_count,
+      CASE WHEN p.user_id = $8 THEN ${PHOTO_NEW_ACTIVITY_SQL} ELSE 0 END AS new_activity
+    FROM photos p
+    JOIN users u ON u.id = p.user_id
+    LEFT JOIN quests q ON q.id = p.quest_id
+    WHERE ($1::int IS NULL OR p.user_id = $1)
+      AND ($2::int IS NULL OR p.quest_id = $2)
+      AND ($3::date IS NULL OR COALESCE(p.taken_at, p.uploaded_at) >= $3::date::timestamp AT TIME ZONE 'Europe/Paris')
+      AND ($4::date IS NULL OR COALESCE(p.taken_at, p.uploaded_at) < ($4::date + 1)::timestamp AT TIME ZONE 'Europe/Paris')
+      AND ($5::timestamptz IS NULL OR (COALESCE(p.taken_at, p.uploaded_at), p.id) < ($5::timestamptz, $6::int))
+    ORDER BY COALESCE(p.taken_at, p.uploaded_at) DESC, p.id DESC
+    LIMIT $7
+  `, [userId, questId, from, to, after ? after.sortKey : null, after ? after.id : null, limit + 1, viewerId]);
+
+  const photos = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodePhotoCursor(photos[photos.length - 1]) : null;
+  return { photos, nextCursor };
+}
+
+// format JSON d'une photo (API galerie)
+function serializePhoto(photo) {
+  return {
+    id: photo.id,
+    url: photo.url,
+    thumbnail: thumbnailUrl(photo),
+    srcset: thumbnailSrcset(photo),
+    user: { id: photo.user_id, username: photo.username, profile_pic: photo.profile_pic },
+    quest: photo.quest_id ? { id: photo.quest_id, title: photo.quest_title } : null,
+    taken_at: photo.taken_at,
+    uploaded_at: photo.uploaded_at,
+    reaction_count: photo.reaction_count,
+    comment_count: photo.comment_count,
+    new_activity: photo.new_activity
+  };
+}
+
+// --- Temps réel : diffusion après modération (cf. live.js) ---
+const canModerate = user => hasPermission(user, 'pending.moderate');
+
+async function publishProgress() {
+  live.publish('progress', { totalPoints: await getTotalPoints(), rewards: await getRewards() });
+}
+
+// nouvelle photo en tête de galerie, puis barre de progression si des points ont été gagnés
+async function publishApproval(photoId, questPoints) {
+  const { rows } = await pool.query(`
+    SELECT p.*, u.username, u.profile_pic, q.title AS quest_title
+    FROM photos p
+    JOIN users u ON u.id = p.user_id
+    LEFT JOIN quests q ON q.id = p.quest_id
+    WHERE p.id = $1
+  `, [photoId]);
+  if (rows[0]) {
+    live.publish('photo_approved', {
+      photo: serializePhoto({ ...rows[0], reaction_count: 0, comment_count: 0, new_activity: 0 })
+    });
+  }
+  if (questPoints > 0) await publishProgress();
+}
+
+// --- Multer icônes de récompenses (SVG accepté à l'envoi, stocké en PNG : cf. storeRewardIcon) ---
+const REWARD_ICON_TYPES = ['image/svg+xml', 'image/png', 'image/jpeg', 'image/webp'];
+const uploadRewardIcon = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1 Mo
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/png') cb(null, true);
-    else cb(new Error('Formats autorisés: JPG, PNG'));
+    if (REWARD_ICON_TYPES.includes(file.mimetype)) cb(null, true);
+    else cb(new Error('Formats autorisés: SVG, PNG, JPG, WEBP'));
   }
 });
 
 // --- Routes ---
 app.get('/healthz', (req, res) => res.status(200).send('ok'));
 
+// service worker servi à la racine pour contrôler tout le site (push, cf. public/sw.js)
+app.get('/sw.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'public', 'sw.js'));
+});
+
 
 //route admin
-app.get('/admin', requireAdmin, async (req, res) => {
+app.get('/admin', requirePermission('admin.view'), async (req, res) => {
   try {
-    await refreshWeeklyQuestsActive();
-    const pending = (await pool.query('SELECT p.*, u.username FROM pending_photos p LEFT JOIN users u ON p.user_id = u.id ORDER BY p.created_at DESC')).rows;
-    const users = (await pool.query('SELECT id, username FROM users ORDER BY username')).rows;
-    const quests = (await pool.query('SELECT * FROM quests ORDER BY id DESC')).rows;
-    const progress = (await pool.query('SELECT points FROM global_progress WHERE id = 1')).rows[0];
+    const pending = (await pool.query(`
+      SELECT p.*, u.username, q.title AS quest_title
+      FROM pending_photos p
+      LEFT JOIN users u ON p.user_id = u.id
+      LEFT JOIN quests q ON p.quest_id = q.id
+      ORDER BY p.created_at DESC
+    `)).rows;
+    const users = (await pool.query('SELECT id, username, role FROM users ORDER BY username')).rows;
+    const quests = (await pool.query(`
+      SELECT *,
+        to_char(start_at AT TIME ZONE 'Europe/Paris', 'YYYY-MM-DD"T"HH24:MI') AS start_local,
+        to_char(end_at AT TIME ZONE 'Europe/Paris', 'YYYY-MM-DD"T"HH24:MI') AS end_local,
+        (${QUEST_AVAILABLE_SQL}) AS available
+      FROM quests
+      ORDER BY id DESC
+    `)).rows;
+    const totalPoints = await getTotalPoints();
     const photos = (await pool.query('SELECT * FROM photos ORDER BY uploaded_at DESC')).rows;
-
-    res.render('admin', { pending, users, quests, progress,photos });
+    const rewards = await getRewards();
+
+    const can = permission => hasPermission(req.user, permission);
+    const failedLogins = can('audit.view')
+      ? (await pool.query(`
+          SELECT username, ip, user_agent, created_at
+          FROM login_attempts
+          WHERE success = FALSE
+          ORDER BY created_at DESC
+          LIMIT 50
+        `)).rows
+      : [];
+
+    res.render('admin', {
+      pending, users, quests, totalPoints, photos, rewards, failedLogins,
+      hubApps: can('apps.manage') ? hubApps.list() : [],
+      roles: ROLES, questTypes: QUEST_TYPES, weekdays: WEEKDAYS, completionModes: COMPLETION_MODES,
+      currentUser: req.user, can
+    });
   } catch (e) {
     console.error(e);
     res.status(500).send('Erreur admin');
   }
 });
 
-// --- Approuver une quete en attente ---
-app.post('/admin/pending/:id/approve', requireAdmin, async (req, res) => {
-  const id = parseInt(req.params.id, 10);
+const POINTS_TOTAL_LOCK_ID = 7302002; // pg_advisory_xact_lock (cf. migrate.js : 7302001, rotation.js : 7302003)
+const UPLOAD_LOCK_ID = 7302004;       // pg_advisory_xact_lock(UPLOAD_LOCK_ID, user_id) : cf. /upload
+
+// --- Modération : approuver une photo en attente ---
+// Déplace le fichier de pending_uploads/ vers uploads/ (dossier de la galerie),
+// enregistre la photo, la complétion et les points. Renvoie false si la photo n'existe plus.
+// Le déplacement précède le COMMIT (la photo enregistre sa nouvelle clé) : si la transaction
+// échoue, les fichiers reviennent dans pending_uploads/ et la modération peut être retentée.
+async function approvePending(id) {
   const client = await pool.connect();
+  const movedFiles = [];
 
   try {
     await client.query('BEGIN');
@@ -293,62 +844,120 @@ app.post('/admin/pending/:id/approve', requireAdmin, async (req, res) => {
 
     if (pendingRows.length === 0) {
       await client.query('ROLLBACK');
-      return res.status(404).send('Pending photo introuvable');
+      return false;
     }
 
     const pending = pendingRows[0];
 
-    // 2️⃣ Récupérer les points de la quête si quest_id présent
-    let questPoints = 0;
+    // 2️⃣ Récupérer et verrouiller la quête (points, titre, mode) si quest_id présent
+    let quest = null;
     if (pending.quest_id) {
       const { rows: questRows } = await client.query(
-        'SELECT points FROM quests WHERE id = $1',
+        `SELECT title, points, completion_mode, ${QUEST_PERIOD_SQL} AS period_key
+         FROM quests WHERE id = $1 FOR UPDATE`,
         [pending.quest_id]
       );
-      if (questRows.length > 0) questPoints = questRows[0].points || 0;
+      quest = questRows[0] || null;
     }
 
-    // 3️⃣ Insérer dans photos
-    await client.query(
-      `INSERT INTO photos (filename, url, user_id, taken_at)
-       VALUES ($1, $2, $3, $4)`,
-      [pending.filename, pending.url, pending.user_id, pending.taken_at]
+    // 3️⃣ Déplacer l'image et ses miniatures dans le dossier de la galerie
+    const moved = await moveFile(pending.storage_key || `pending_uploads/${pending.filename}`, 'uploads', movedFiles);
+    const thumbnails = await moveThumbnails(pending.thumbnails, 'uploads', movedFiles);
+
+    // 4️⃣ Insérer dans photos
+    const { rows: photoRows } = await client.query(
+      `INSERT INTO photos (filename, url, storage_key, thumbnails, user_id, quest_id, taken_at, submitted_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [pending.filename, moved.url, moved.key, thumbnails, pending.user_id, quest ? pending.quest_id : null, pending.taken_at, pending.created_at]
     );
 
-    // 4️⃣ Mettre à jour progress global
+    // 5️⃣ Enregistrer la complétion (une par utilisateur et par période ; mode 'first' : une seule au total)
+    let completed = false;
+    if (quest) {
+      const periodKey = pending.period_key || quest.period_key;
+      const { rowCount: alreadyWon } = quest.completion_mode === 'first'
+        ? await client.query(
+            'SELECT 1 FROM quest_completions WHERE quest_id = $1 AND period_key = $2',
+            [pending.quest_id, periodKey]
+          )
+        : { rowCount: 0 };
+
+      if (!alreadyWon) {
+        const { rowCount } = await client.query(
+          `INSERT INTO quest_completions (quest_id, user_id, period_key, photo_id)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (quest_id, user_id, period_key) DO NOTHING`,
+          [pending.quest_id, pending.user_id, periodKey, photoRows[0].id]
+        );
+        completed = rowCount > 0;
+      }
+    }
+
+    // 6️⃣ Créditer les points à l'utilisateur (le total global est la somme du ledger)
+    const questPoints = completed ? quest.points || 0 : 0;
     if (questPoints > 0) {
       await client.query(
-        'UPDATE global_progress SET points = points + $1 WHERE id = 1',
-        [questPoints]
+        `INSERT INTO points_ledger (user_id, quest_id, photo_id, points, label)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [pending.user_id, pending.quest_id, photoRows[0].id, questPoints, quest.title]
       );
     }
 
-    // 5️⃣ Supprimer la pending photo
+    // 7️⃣ Supprimer la pending photo
     await client.query('DELETE FROM pending_photos WHERE id = $1', [id]);
-    
-    // 6 Marquer la quete comme complete
-    if (pending.quest_id) {
-      await client.query(
-        'UPDATE quests SET completed = TRUE WHERE id = $1',
-        [pending.quest_id]
+
+    // 8️⃣ Notifier l'uploader, puis tout le monde si un palier de récompense vient d'être franchi
+    // (push envoyés après le COMMIT)
+    const notified = [];
+    notified.push(await notifications.notify(pending.user_id, {
+      type: 'photo_approved',
+      title: quest ? `Ta photo pour « ${quest.title} » a été validée` : 'Ta photo a été validée',
+      body: questPoints > 0 ? `+${questPoints} points` : null,
+      link: '/toilet-app/history',
+      data: { photo_id: photoRows[0].id, quest_id: quest ? pending.quest_id : null }
+    }, client));
+
+    if (questPoints > 0) {
+      // verrou jusqu'au COMMIT : deux approbations simultanées lisent le total l'une après l'autre
+      // (la seconde voit les points de la première), aucun palier franchi n'est manqué
+      await client.query('SELECT pg_advisory_xact_lock($1)', [POINTS_TOTAL_LOCK_ID]);
+      const { rows: [{ total }] } = await client.query('SELECT COALESCE(SUM(points), 0)::int AS total FROM points_ledger');
+      const { rows: unlocked } = await client.query(
+        'SELECT id, description, points_required FROM rewards WHERE points_required > $1 AND points_required <= $2 ORDER BY points_required',
+        [total - questPoints, total]
       );
+      for (const reward of unlocked) {
+        notified.push(await notifications.notifyAll({
+          type: 'reward_unlocked',
+          title: `Récompense débloquée : ${reward.description || `${reward.points_required} points`}`,
+          body: `La barre collective a atteint ${reward.points_required} points.`,
+          data: { reward_id: reward.id }
+        }, client));
+      }
     }
 
     await client.query('COMMIT');
-    res.redirect('/admin');
+    notified.forEach(rows => notifications.deliver(rows));
 
+    // 9️⃣ Prévenir les pages ouvertes (galerie, progression, table de modération)
+    live.publish('pending_resolved', { id }, { filter: canModerate });
+    publishApproval(photoRows[0].id, questPoints).catch(err => console.error('Erreur temps réel:', err.message));
+    return true;
   } catch (err) {
     await client.query('ROLLBACK').catch(() => {});
-    console.error('Approve failed', err.message);
-    res.status(500).send('Erreur approbation');
+    await restoreMovedFiles(movedFiles);
+    throw err;
   } finally {
     client.release();
   }
-});
+}
 
-// --- Rejeter quete en attente ---
-app.post('/admin/pending/:id/reject', requireAdmin, async (req, res) => {
-  const id = parseInt(req.params.id, 10);
+// --- Modération : rejeter une photo en attente ---
+// Supprime le fichier et garde une trace du refus (avec raison) pour l'uploader.
+// Fichiers supprimés après le COMMIT : un échec à ce moment laisse au pire un fichier orphelin
+// dans pending_uploads/, retiré par le nettoyage planifié (cleanupPendingUploads).
+async function rejectPending(id, moderatorId, reason) {
   const client = await pool.connect();
 
   try {
@@ -362,38 +971,106 @@ app.post('/admin/pending/:id/reject', requireAdmin, async (req, res) => {
 
     if (pendingRows.length === 0) {
       await client.query('ROLLBACK');
-      return res.status(404).send('Pending photo introuvable');
+      return false;
     }
 
     const pending = pendingRows[0];
 
-    // 2️⃣ Option : supprimer de Cloudinary si tu stockes public_id
-    // await cloudinary.uploader.destroy(`pending_uploads/${pending.filename}`);
+    // 2️⃣ Garder la trace du refus pour l'uploader et le notifier
+    const cleanReason = (reason || '').trim() || null;
+    await client.query(
+      `INSERT INTO photo_rejections (user_id, quest_id, reason, rejected_by, submitted_at)
+       VALUES ($1, (SELECT id FROM quests WHERE id = $2), $3, $4, $5)`,
+      [pending.user_id, pending.quest_id, cleanReason, moderatorId, pending.created_at]
+    );
+
+    const { rows: questRows } = await client.query('SELECT title FROM quests WHERE id = $1', [pending.quest_id]);
+    const notified = await notifications.notify(pending.user_id, {
+      type: 'photo_rejected',
+      title: questRows[0] ? `Ta photo pour « ${questRows[0].title} » a été refusée` : 'Ta photo a été refusée',
+      body: cleanReason,
+      data: { quest_id: questRows[0] ? pending.quest_id : null }
+    }, client);
 
     // 3️⃣ Supprimer la pending photo
     await client.query('DELETE FROM pending_photos WHERE id = $1', [id]);
 
     await client.query('COMMIT');
-    res.redirect('/admin');
 
+    // 4️⃣ Supprimer l'image et ses miniatures du stockage
+    try {
+      await storage.remove(pending.storage_key || `pending_uploads/${pending.filename}`);
+      await removeThumbnails(pending.thumbnails);
+    } catch (err) {
+      console.error(`Fichiers de la photo refusée ${id} non supprimés :`, err.message);
+    }
+
+    notifications.deliver(notified);
+    live.publish('pending_resolved', { id }, { filter: canModerate });
+    return true;
   } catch (err) {
     await client.query('ROLLBACK').catch(() => {});
-    console.error('Reject failed', err.message);
-    res.status(500).send('Erreur rejet');
+    throw err;
   } finally {
     client.release();
   }
+}
+
+// --- Approuver une quete en attente ---
+app.post('/admin/pending/:id/approve', requirePermission('pending.moderate'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    if (!(await approvePending(id))) return res.status(404).send('Pending photo introuvable');
+    res.redirect('/admin');
+  } catch (err) {
+    console.error('Approve failed', err.message);
+    res.status(500).send('Erreur approbation');
+  }
+});
+
+// --- Rejeter quete en attente ---
+app.post('/admin/pending/:id/reject', requirePermission('pending.moderate'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    if (!(await rejectPending(id, req.user.id, req.body.reason))) return res.status(404).send('Pending photo introuvable');
+    res.redirect('/admin');
+  } catch (err) {
+    console.error('Reject failed', err.message);
+    res.status(500).send('Erreur rejet');
+  }
+});
+
+// --- Approuver / rejeter plusieurs photos en attente ---
+app.post('/admin/pending/bulk', requirePermission('pending.moderate'), async (req, res) => {
+  const ids = [].concat(req.body.ids || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  const { action, reason } = req.body;
+  if (!['approve', 'reject'].includes(action)) return res.status(400).send('Action inconnue');
+
+  // une transaction par photo : un échec n'annule pas les autres
+  const failed = [];
+  for (const id of ids) {
+    try {
+      if (action === 'approve') await approvePending(id);
+      else await rejectPending(id, req.user.id, reason);
+    } catch (err) {
+      console.error(`Bulk ${action} failed for ${id}`, err.message);
+      failed.push(id);
+    }
+  }
+
+  if (failed.length) return res.status(500).send(`Erreur modération pour ${failed.length} photo(s) : ${failed.join(', ')}`);
+  res.redirect('/admin');
 });
 
 //supprilmer une photo de la gallerie
-app.post('/admin/photo/:id/delete', requireAdmin, async (req, res) => {
+app.post('/admin/photo/:id/delete', requirePermission('photos.delete'), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   try {
-    // Option: récupérer url/filename pour destroy sur Cloudinary
-    const { rows } = await pool.query('SELECT filename FROM photos WHERE id = $1', [id]);
+    // supprimer le fichier du stockage
+    const { rows } = await pool.query('SELECT filename, storage_key, thumbnails FROM photos WHERE id = $1', [id]);
     if (rows[0]) {
-      const filename = rows[0].filename;
-      await cloudinary.uploader.destroy(`uploads/${filename}`);
+      await storage.remove(rows[0].storage_key || `uploads/${rows[0].filename}`);
+      await removeThumbnails(rows[0].thumbnails);
     }
 
     await pool.query('DELETE FROM photos WHERE id = $1', [id]);
@@ -406,14 +1083,14 @@ app.post('/admin/photo/:id/delete', requireAdmin, async (req, res) => {
 
 
 //créer un utilisateur
-app.post('/admin/users/create', requireAdmin, async (req, res) => {
-  const { username, password, profile_pic } = req.body;
+app.post('/admin/users/create', requirePermission('users.manage'), async (req, res) => {
+  const { username, password, profile_pic, must_change_password } = req.body;
   if (!username || !password) return res.status(400).send('Missing');
   try {
     const passHash = await bcrypt.hash(password, 10);
     await pool.query(
-      `INSERT INTO users (username, password_hash, devices, profile_pic) VALUES ($1, $2, $3, $4)`,
-      [username, passHash, '{}', profile_pic || null]
+      `INSERT INTO users (username, password_hash, devices, profile_pic, must_change_password) VALUES ($1, $2, $3, $4, $5)`,
+      [username, passHash, '{}', profile_pic || null, must_change_password === 'on']
     );
     res.redirect('/admin');
   } catch (e) {
@@ -423,10 +1100,11 @@ app.post('/admin/users/create', requireAdmin, async (req, res) => {
 });
 
 //supprimer un utilisateur
-app.post('/admin/users/:id/delete', requireAdmin, async (req, res) => {
+app.post('/admin/users/:id/delete', requirePermission('users.manage'), async (req, res) => {
   const id = parseInt(req.params.id, 10);
   try {
     await pool.query('DELETE FROM users WHERE id = $1', [id]);
+    live.disconnect(user => user.id === id);
     res.redirect('/admin');
   } catch (e) {
     console.error(e);
@@ -434,126 +1112,693 @@ app.post('/admin/users/:id/delete', requireAdmin, async (req, res) => {
   }
 });
 
-//créer une quête
-app.post('/admin/quests/create', requireAdmin, async (req, res) => {
-  const { title, description, points, start_at, end_at, type } = req.body;
+//émettre un code de réinitialisation de mot de passe
+app.post('/admin/users/:id/reset-password', requirePermission('users.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
   try {
+    const { rows } = await pool.query('SELECT id, username FROM users WHERE id = $1', [id]);
+    const target = rows[0];
+    if (!target) return res.status(404).send('Utilisateur introuvable');
+
+    // un seul code valide à la fois par utilisateur
     await pool.query(
-      `INSERT INTO quests (title, description, type, points, start_at, end_at, active)
-       VALUES ($1, $2, $3, $4, $5, $6, true)`,
-      [
-        title,
-        description || '', 
-        parseInt(type, 10), // on stocke l’ID du type (1=daily,2=special,3=weekly)
-        parseInt(points, 10) || 0,
-        type == 3 ? start_at || null : null, // seulement si weekly
-        type == 3 ? end_at || null : null
-      ]
+      'UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [id]
     );
-    res.redirect('/admin');
+
+    const code = generateResetCode();
+    const { rows: resetRows } = await pool.query(
+      `INSERT INTO password_resets (user_id, code_hash, created_by, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 hour')
+       RETURNING expires_at`,
+      [id, hashResetCode(code), req.user.id, PASSWORD_RESET_TTL_HOURS]
+    );
+
+    // le compte devra changer de mot de passe même s'il se reconnecte avec l'ancien
+    await pool.query('UPDATE users SET must_change_password = TRUE WHERE id = $1', [id]);
+    live.disconnect(user => user.id === id);
+
+    const params = new URLSearchParams({ code, username: target.username });
+    const link = `${req.protocol}://${req.get('host')}/reset-password?${params}`;
+    res.render('reset-code', { target, code, link, expiresAt: resetRows[0].expires_at });
   } catch (e) {
     console.error(e);
-    res.status(500).send('Erreur création quest');
+    res.status(500).send('Erreur réinitialisation');
   }
 });
 
-// --- Route index ---
-app.get('/', async (req, res) => {
+//déconnecter un utilisateur de tous ses appareils
+app.post('/admin/users/:id/logout', requirePermission('users.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
   try {
-    // Récupération de l'utilisateur courant via le device token
-    const user = await getUserByDevice(req.deviceToken);
-
-    // Affichage de la vue index.ejs
-    res.render('index', { user });
+    await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [id]
+    );
+    live.disconnect(user => user.id === id);
+    res.redirect('/admin');
   } catch (e) {
     console.error(e);
-    res.status(500).send('Erreur serveur');
+    res.status(500).send('Erreur déconnexion user');
   }
 });
 
-// --- Route Toilet App ---
-app.get('/toilet-app', requireLogin, async (req, res) => {
+//changer le rôle d'un utilisateur
+app.post('/admin/users/:id/role', requirePermission('users.roles'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { role } = req.body;
+  if (!ROLES.includes(role)) return res.status(400).send('Rôle inconnu');
+  if (id === req.user.id) return res.status(400).send('Impossible de modifier son propre rôle');
   try {
-    await ensureDailyReset();
-    await refreshWeeklyQuestsActive();
-    // Photos
-    const { rows: photos } = await pool.query(`
-      SELECT photos.*, users.username, users.profile_pic
-      FROM photos
-      JOIN users ON photos.user_id = users.id
-      ORDER BY COALESCE(taken_at, uploaded_at) DESC
-      LIMIT 200
-    `);
-
-    // Progression & rewards
-    const progressRow = (await pool.query('SELECT points FROM global_progress WHERE id = 1')).rows[0];
-    const totalPoints = progressRow ? parseInt(progressRow.points,10) : 0;
-    const { rows: rewards } = await pool.query(
-      `SELECT id, points_required, svg
-       FROM rewards
-       ORDER BY points_required ASC`
-    );
-
-    // Quêtes par type (integer IDs)
-    const { rows: quests } = await pool.query(`
-      SELECT *
-      FROM quests
-      WHERE active = true
-        AND (type != 3 OR (start_at <= NOW() AND end_at >= NOW()))
-      ORDER BY id DESC
-    `);
-
-    const dailyQuests   = quests.filter(q => q.type === 1);
-    const specialQuests = quests.filter(q => q.type === 2);
-    const weeklyQuests  = quests.filter(q => q.type === 3);
-
-    res.render('toilet-app', { 
-      photos, 
-      user: req.user, 
-      totalPoints, 
-      rewards,
-      dailyQuests,
-      specialQuests,
-      weeklyQuests
-    });
-
+    await pool.query('UPDATE users SET role = $1 WHERE id = $2', [role, id]);
+    live.disconnect(user => user.id === id); // reconnexion avec le nouveau rôle
+    res.redirect('/admin');
   } catch (e) {
     console.error(e);
-    res.status(500).send('Erreur serveur');
+    res.status(500).send('Erreur changement de rôle');
   }
 });
 
-// route upload
-app.post('/upload', upload.single('image'), async (req, res) => {
+// quête spéciale : annoncée à tout le monde (notification, push, temps réel) dès sa publication
+async function announceSpecialQuest(questId, quest) {
+  await notifications.notifyAll({
+    type: 'quest_published',
+    title: `Nouvelle quête spéciale : ${quest.title}`,
+    body: `${quest.points} points${quest.startAt ? ` · à partir du ${quest.startAt.replace('T', ' à ')}` : ''}`,
+    data: { quest_id: questId }
+  });
+}
+
+//créer une quête
+app.post('/admin/quests/create', requirePermission('quests.manage'), async (req, res) => {
+  const { quest, error } = parseQuestForm(req.body);
+  if (error) return res.status(400).send(error);
   try {
-    if (!req.file) return res.redirect('/');
+    const { rows } = await pool.query(
+      `INSERT INTO quests (title, description, type, points, start_at, end_at, weekdays, completion_mode, active)
+       VALUES ($1, $2, $3, $4,
+               $5::timestamp AT TIME ZONE 'Europe/Paris',
+               $6::timestamp AT TIME ZONE 'Europe/Paris',
+               $7, $8, true)
+       RETURNING id`,
+      [
+        quest.title,
+        quest.description,
+        quest.type, // on stocke l’ID du type (1=daily,2=special,3=weekly)
+        quest.points,
+        quest.startAt,
+        quest.endAt,
+        quest.weekdays,
+        quest.completionMode
+      ]
+    );
 
-    const user = await getUserByDevice(req.deviceToken);
-    if (!user) return res.status(403).send('Vous devez être connecté pour uploader.');
+    if (quest.type === 2) await announceSpecialQuest(rows[0].id, quest);
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur création quest');
+  }
+});
 
-    // --- EXIF ---
-    let takenDate = null;
-    try {
-      const parser = exif.create(req.file.buffer);
-      const result = parser.parse();
-      if (result.tags && result.tags.DateTimeOriginal) {
-        takenDate = new Date(result.tags.DateTimeOriginal * 1000);
-      }
-    } catch (ex) {
-      console.warn('Impossible de lire EXIF:', ex.message);
+//modifier une quête
+app.post('/admin/quests/:id/update', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { quest, error } = parseQuestForm(req.body);
+  if (error) return res.status(400).send(error);
+  try {
+    // type d'avant la modification (verrouillé) : une quête qui devient spéciale est annoncée
+    const { rows } = await pool.query(
+      `WITH old AS (SELECT id, type FROM quests WHERE id = $9 FOR UPDATE)
+       UPDATE quests q
+       SET title = $1, description = $2, type = $3, points = $4,
+           start_at = $5::timestamp AT TIME ZONE 'Europe/Paris',
+           end_at = $6::timestamp AT TIME ZONE 'Europe/Paris',
+           weekdays = $7, completion_mode = $8
+       FROM old
+       WHERE q.id = old.id
+       RETURNING old.type AS old_type, q.active`,
+      [quest.title, quest.description, quest.type, quest.points, quest.startAt, quest.endAt, quest.weekdays, quest.completionMode, id]
+    );
+    if (rows.length === 0) return res.status(404).send('Quête introuvable');
+    if (quest.type === 2 && rows[0].old_type !== 2 && rows[0].active) await announceSpecialQuest(id, quest);
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur modification quest');
+  }
+});
+
+//activer / désactiver une quête
+app.post('/admin/quests/:id/toggle', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await pool.query('UPDATE quests SET active = NOT active WHERE id = $1', [id]);
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur activation quest');
+  }
+});
+
+//supprimer une quête (les points déjà gagnés restent dans le ledger)
+app.post('/admin/quests/:id/delete', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await pool.query('DELETE FROM quests WHERE id = $1', [id]);
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur suppression quest');
+  }
+});
+
+// --- Bibliothèque de modèles de quêtes + rotation à venir ---
+app.get('/admin/quest-templates', requirePermission('quests.manage'), async (req, res) => {
+  try {
+    const { rows: templates } = await pool.query(`
+      SELECT t.*,
+        (SELECT MAX(r.period_start) FROM quest_rotations r
+         WHERE r.template_id = t.id AND r.applied_at IS NOT NULL) AS last_used,
+        (SELECT COUNT(*) FROM quest_rotations r
+         WHERE r.template_id = t.id AND r.applied_at IS NOT NULL)::int AS times_used
+      FROM quest_templates t
+      ORDER BY t.type, t.title
+    `);
+    res.render('admin-templates', {
+      templates,
+      rotations: await questRotation.upcoming(),
+      rotationTypes: ROTATION_TYPES,
+      completionModes: COMPLETION_MODES
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur modèles de quêtes');
+  }
+});
+
+//créer un modèle (le tirage à venir est complété s'il manque des quêtes)
+app.post('/admin/quest-templates/create', requirePermission('quests.manage'), async (req, res) => {
+  const { template, error } = parseTemplateForm(req.body);
+  if (error) return res.status(400).send(error);
+  try {
+    await pool.query(
+      `INSERT INTO quest_templates (type, title, description, points, completion_mode, weight, tags, cooldown_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [template.type, template.title, template.description, template.points, template.completionMode,
+        template.weight, template.tags, template.cooldownDays]
+    );
+    await questRotation.plan(template.type);
+    res.redirect('/admin/quest-templates');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur création modèle');
+  }
+});
+
+//modifier un modèle
+app.post('/admin/quest-templates/:id/update', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { template, error } = parseTemplateForm(req.body);
+  if (error) return res.status(400).send(error);
+  try {
+    const { rows } = await pool.query(
+      `UPDATE quest_templates t
+       SET type = $1, title = $2, description = $3, points = $4, completion_mode = $5,
+           weight = $6, tags = $7, cooldown_days = $8
+       FROM (SELECT type AS old_type FROM quest_templates WHERE id = $9) old
+       WHERE t.id = $9
+       RETURNING old.old_type`,
+      [template.type, template.title, template.description, template.points, template.completionMode,
+        template.weight, template.tags, template.cooldownDays, id]
+    );
+    if (!rows[0]) return res.status(404).send('Modèle introuvable');
+
+    // changement de type : le modèle quitte le tirage de son ancien type
+    if (rows[0].old_type !== template.type) {
+      await pool.query('DELETE FROM quest_rotations WHERE template_id = $1 AND applied_at IS NULL', [id]);
+      await questRotation.plan(rows[0].old_type);
+      await questRotation.plan(template.type);
+    }
+    res.redirect('/admin/quest-templates');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur modification modèle');
+  }
+});
+
+//retirer / remettre un modèle dans la rotation
+app.post('/admin/quest-templates/:id/toggle', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const { rows } = await pool.query('UPDATE quest_templates SET active = NOT active WHERE id = $1 RETURNING type', [id]);
+    if (!rows[0]) return res.status(404).send('Modèle introuvable');
+    await questRotation.plan(rows[0].type);
+    res.redirect('/admin/quest-templates');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur activation modèle');
+  }
+});
+
+//supprimer un modèle (les quêtes déjà créées restent)
+app.post('/admin/quest-templates/:id/delete', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const { rows } = await pool.query('DELETE FROM quest_templates WHERE id = $1 RETURNING type', [id]);
+    if (rows[0]) await questRotation.plan(rows[0].type);
+    res.redirect('/admin/quest-templates');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur suppression modèle');
+  }
+});
+
+//épingler / écarter un modèle pour la prochaine rotation (action vide : annuler)
+app.post('/admin/quest-templates/:id/next', requirePermission('quests.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const action = req.body.action || null;
+  if (action && !['pin', 'skip'].includes(action)) return res.status(400).send('Action inconnue');
+  try {
+    if (!(await questRotation.setNextAction(id, action))) return res.status(404).send('Modèle introuvable');
+    res.redirect('/admin/quest-templates');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur rotation');
+  }
+});
+
+//nouveau tirage complet de la prochaine rotation d'un type
+app.post('/admin/quest-rotation/:type/reroll', requirePermission('quests.manage'), async (req, res) => {
+  const type = parseInt(req.params.type, 10);
+  if (!ROTATION_TYPES[type]) return res.status(400).send('Type de rotation inconnu');
+  try {
+    await questRotation.plan(type, { reroll: true });
+    res.redirect('/admin/quest-templates');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur rotation');
+  }
+});
+
+// icône rastérisée avant stockage ; null si le fichier n'est pas une image lisible
+async function storeRewardIcon(file) {
+  let rendered;
+  try {
+    rendered = await images.renderIcon(file.buffer);
+  } catch (ex) {
+    console.warn('Icône illisible:', ex.message);
+    return null;
+  }
+  return storage.put(rendered.image, { folder: 'rewards', contentType: rendered.contentType });
+}
+
+//créer une récompense (palier de points + icône)
+app.post('/admin/rewards/create', requirePermission('rewards.manage'), uploadRewardIcon.single('icon'), csrf.checkMultipart, async (req, res) => {
+  const pointsRequired = parseInt(req.body.points_required, 10);
+  if (isNaN(pointsRequired) || pointsRequired < 0) return res.status(400).send('Palier invalide');
+  try {
+    const icon = req.file ? await storeRewardIcon(req.file) : null;
+    if (req.file && !icon) return res.status(400).send('Icône illisible ou format non supporté.');
+    await pool.query(
+      `INSERT INTO rewards (points_required, description, svg, svg_storage_key) VALUES ($1, $2, $3, $4)`,
+      [pointsRequired, req.body.description || '', icon ? icon.url : null, icon ? icon.key : null]
+    );
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur création récompense');
+  }
+});
+
+//modifier une récompense (l'icône n'est remplacée que si un fichier est envoyé)
+app.post('/admin/rewards/:id/update', requirePermission('rewards.manage'), uploadRewardIcon.single('icon'), csrf.checkMultipart, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const pointsRequired = parseInt(req.body.points_required, 10);
+  if (isNaN(pointsRequired) || pointsRequired < 0) return res.status(400).send('Palier invalide');
+  try {
+    const { rows } = await pool.query('SELECT svg_storage_key FROM rewards WHERE id = $1', [id]);
+    if (!rows[0]) return res.status(404).send('Récompense introuvable');
+
+    const icon = req.file ? await storeRewardIcon(req.file) : null;
+    if (req.file && !icon) return res.status(400).send('Icône illisible ou format non supporté.');
+    await pool.query(
+      `UPDATE rewards
+       SET points_required = $1, description = $2,
+           svg = COALESCE($3, svg), svg_storage_key = COALESCE($4, svg_storage_key)
+       WHERE id = $5`,
+      [pointsRequired, req.body.description || '', icon ? icon.url : null, icon ? icon.key : null, id]
+    );
+
+    if (icon && rows[0].svg_storage_key) {
+      await storage.remove(rows[0].svg_storage_key);
+    }
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur modification récompense');
+  }
+});
+
+//supprimer une récompense
+app.post('/admin/rewards/:id/delete', requirePermission('rewards.manage'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const { rows } = await pool.query('DELETE FROM rewards WHERE id = $1 RETURNING svg_storage_key', [id]);
+    if (rows[0] && rows[0].svg_storage_key) {
+      await storage.remove(rows[0].svg_storage_key);
     }
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur suppression récompense');
+  }
+});
+
+// --- Tâches planifiées : état, historique, lancement manuel ---
+app.get('/admin/jobs', requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    res.render('admin-jobs', {
+      jobs: await jobs.list(),
+      runs: await jobs.history({ limit: 50 }),
+      error: req.query.error || null
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur tâches planifiées');
+  }
+});
+
+// lancée en arrière-plan : la page affiche l'exécution "en cours", le résultat est dans job_runs
+app.post('/admin/jobs/:name/run', requirePermission('jobs.manage'), (req, res) => {
+  const { name } = req.params;
+  if (!jobs.has(name)) return res.status(404).send('Tâche introuvable');
+  if (jobs.isRunning(name)) return res.redirect('/admin/jobs?error=' + encodeURIComponent('Cette tâche est déjà en cours.'));
+
+  jobs.runNow(name, { triggeredBy: req.user.id })
+    .catch(err => console.error(`Tâche ${name} (manuelle):`, err.message));
+  res.redirect('/admin/jobs');
+});
+
+// --- Statistiques : soumissions, modération, quêtes, utilisateurs actifs ---
+// ?days= parmi PERIOD_DAYS (30 par défaut)
+function statsDays(req) {
+  const days = parseInt(req.query.days, 10);
+  return PERIOD_DAYS.includes(days) ? days : 30;
+}
+
+app.get('/admin/stats', requirePermission('stats.view'), async (req, res) => {
+  try {
+    res.render('admin-stats', {
+      ...(await stats.report({ days: statsDays(req) })),
+      periods: PERIOD_DAYS
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur statistiques');
+  }
+});
+
+// un tableau de la page en CSV
+app.get('/admin/stats/:table.csv', requirePermission('stats.view'), async (req, res) => {
+  if (!TABLE_NAMES.includes(req.params.table)) return res.status(404).send('Tableau inconnu');
+  const days = statsDays(req);
+  try {
+    const table = await stats.table(req.params.table, { days });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`kleber-${table.name}-${days}j.csv`);
+    res.send(toCsv(table));
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur export CSV');
+  }
+});
+
+// --- Apps du hub : activation et accès (rôles / utilisateurs) ---
+app.post('/admin/apps/:slug/toggle', requirePermission('apps.manage'), async (req, res) => {
+  const hubApp = hubApps.list().find(a => a.slug === req.params.slug);
+  if (!hubApp) return res.status(404).send('App inconnue');
+  try {
+    await hubApps.setEnabled(hubApp.slug, !hubApp.enabled);
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur activation app');
+  }
+});
+
+app.post('/admin/apps/:slug/access', requirePermission('apps.manage'), async (req, res) => {
+  // cases à cocher / select multiple : absent, une valeur ou un tableau
+  const asList = value => [].concat(value || []);
+  const roles = asList(req.body.roles).filter(r => ROLES.includes(r));
+  const userIds = asList(req.body.users).map(id => parseInt(id, 10)).filter(Number.isInteger);
+  try {
+    const found = await hubApps.setAccess(req.params.slug, { roles, userIds });
+    if (!found) return res.status(404).send('App inconnue');
+    res.redirect('/admin');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur accès app');
+  }
+});
+
+// --- Route index ---
+app.get('/', async (req, res) => {
+  try {
+    // Récupération de l'utilisateur courant via le device token
+    const user = await getUserByDevice(req.deviceToken);
+
+    // Affichage de la vue index.ejs (tuiles des apps du hub visibles par l'utilisateur)
+    res.render('index', { user, apps: hubApps.visibleFor(user), loginError: null, loginUsername: '' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// --- Apps du hub : chacune monte son propre router (cf. apps/) ---
+hubApps.mount(app, {
+  requireLogin,
+  hasPermission,
+  pool,
+  storage,
+  images,
+  upload,
+  checkMultipart: csrf.checkMultipart,
+  storePhoto,
+  removeThumbnails,
+  notifications,
+  live,
+  videoLookup,
+  listPhotos,
+  getTotalPoints,
+  getRewards,
+  getQuestsForUser,
+  getLeaderboard,
+  reactionEmojis: REACTION_EMOJIS,
+  photoNewActivitySql: PHOTO_NEW_ACTIVITY_SQL
+});
+
+// API galerie et upload : appelés par la page /toilet-app, mêmes réglages d'accès que son router
+const requireToiletApp = hubApps.requireApp('toilet-app');
+
+// --- API galerie : photos paginées et filtrées ---
+// GET /api/photos?user=&quest=&from=YYYY-MM-DD&to=YYYY-MM-DD&cursor=&limit=
+app.get('/api/photos', requireLogin, requireToiletApp, async (req, res) => {
+  if (req.query.cursor && !decodePhotoCursor(req.query.cursor)) {
+    return res.status(400).json({ error: 'Curseur invalide' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || PHOTOS_PAGE_SIZE, PHOTOS_MAX_PAGE_SIZE);
+
+  try {
+    const { photos, nextCursor } = await listPhotos(parsePhotoFilters(req.query), {
+      cursor: req.query.cursor || null,
+      limit: Math.max(limit, 1),
+      viewerId: req.user.id
+    });
+    res.json({ photos: photos.map(serializePhoto), nextCursor });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// --- API galerie : détail d'une photo (réactions + commentaires) ---
+app.get('/api/photos/:id', requireLogin, requireToiletApp, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const { rows } = await pool.query(`
+      SELECT p.*, u.username, u.profile_pic, q.title AS quest_title
+      FROM photos p
+      JOIN users u ON u.id = p.user_id
+      LEFT JOIN quests q ON q.id = p.quest_id
+      WHERE p.id = $1
+    `, [id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Photo introuvable' });
+
+    res.json({
+      photo: serializePhoto(rows[0]),
+      reactions: await getPhotoReactions(id, req.user.id),
+      comments: await getPhotoComments(id, req.user)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// --- Réagir à une photo (bascule : un second clic retire la réaction) ---
+app.post('/api/photos/:id/reactions', requireLogin, requireToiletApp, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const emoji = req.body.emoji;
+  if (!REACTION_EMOJIS.includes(emoji)) return res.status(400).json({ error: 'Réaction inconnue' });
+
+  try {
+    const { rowCount: removed } = await pool.query(
+      'DELETE FROM photo_reactions WHERE photo_id = $1 AND user_id = $2 AND emoji = $3',
+      [id, req.user.id, emoji]
+    );
+    if (!removed) {
+      const { rowCount } = await pool.query(
+        `INSERT INTO photo_reactions (photo_id, user_id, emoji)
+         SELECT id, $2, $3 FROM photos WHERE id = $1
+         ON CONFLICT DO NOTHING`,
+        [id, req.user.id, emoji]
+      );
+      if (!rowCount) return res.status(404).json({ error: 'Photo introuvable' });
+    }
+
+    res.json({ reactions: await getPhotoReactions(id, req.user.id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur réaction' });
+  }
+});
+
+// --- Commenter une photo (parent_id : réponse à un commentaire de la même photo) ---
+app.post('/api/photos/:id/comments', requireLogin, requireToiletApp, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const body = String(req.body.body || '').trim();
+  const parentId = req.body.parent_id ? parseInt(req.body.parent_id, 10) : null;
+  if (!body) return res.status(400).json({ error: 'Commentaire vide' });
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return res.status(400).json({ error: `Commentaire trop long (${COMMENT_MAX_LENGTH} caractères max)` });
+  }
 
-    // --- Upload vers Cloudinary depuis buffer ---
-    const uploadResult = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        { folder: "pending_uploads" },
-        (error, result) => error ? reject(error) : resolve(result)
+  try {
+    if (parentId) {
+      const { rowCount } = await pool.query(
+        'SELECT 1 FROM photo_comments WHERE id = $1 AND photo_id = $2',
+        [parentId, id]
       );
-      stream.end(req.file.buffer);
+      if (!rowCount) return res.status(400).json({ error: 'Commentaire parent introuvable' });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO photo_comments (photo_id, user_id, parent_id, body)
+       SELECT id, $2, $3, $4 FROM photos WHERE id = $1
+       RETURNING id, parent_id, body, created_at, user_id`,
+      [id, req.user.id, parentId, body]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Photo introuvable' });
+
+    // prévenir l'uploader (sauf s'il commente sa propre photo)
+    const { rows: [photo] } = await pool.query('SELECT user_id FROM photos WHERE id = $1', [id]);
+    if (photo && photo.user_id !== req.user.id) {
+      await notifications.notify(photo.user_id, {
+        type: 'photo_comment',
+        title: `${req.user.username} a commenté ta photo`,
+        body: body.length > 120 ? body.slice(0, 117) + '…' : body,
+        data: { photo_id: id, comment_id: rows[0].id }
+      });
+    }
+
+    const comment = { ...rows[0], username: req.user.username, profile_pic: req.user.profile_pic };
+    res.status(201).json({ comment: serializeComment(comment, req.user) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur commentaire' });
+  }
+});
+
+// --- Supprimer un commentaire (son auteur, ou permission comments.delete) ---
+app.delete('/api/comments/:id', requireLogin, requireToiletApp, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const { rows } = await pool.query('SELECT user_id FROM photo_comments WHERE id = $1', [id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Commentaire introuvable' });
+    if (rows[0].user_id !== req.user.id && !hasPermission(req.user, 'comments.delete')) {
+      return res.status(403).json({ error: 'Accès refusé' });
+    }
+
+    await pool.query('DELETE FROM photo_comments WHERE id = $1', [id]);
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur suppression commentaire' });
+  }
+});
+
+// --- L'uploader a consulté sa photo : l'activité n'est plus "nouvelle" ---
+app.post('/api/photos/:id/seen', requireLogin, requireToiletApp, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await pool.query('UPDATE photos SET owner_seen_at = NOW() WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// --- Temps réel : flux SSE des pages ouvertes (cf. live.js) ---
+app.get('/api/events', requireLogin, (req, res) => {
+  live.connect(req, res, req.user);
+});
+
+// --- API notifications (cloche du header) ---
+app.get('/api/notifications', requireLogin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+  try {
+    res.json({
+      notifications: await notifications.list(req.user.id, { limit: Math.max(limit, 1) }),
+      unread: await notifications.unreadCount(req.user.id)
     });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
 
-    const filename = uploadResult.public_id.split('/').pop();
-    const url = uploadResult.secure_url;
+// body { ids: [..] } : notifications précises ; sans ids : tout marquer comme lu
+app.post('/api/notifications/read', requireLogin, async (req, res) => {
+  const ids = Array.isArray(req.body.ids)
+    ? req.body.ids.map(id => parseInt(id, 10)).filter(Number.isInteger)
+    : null;
+  try {
+    await notifications.markRead(req.user.id, ids);
+    res.json({ unread: await notifications.unreadCount(req.user.id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// refus d'une photo de quête : { status, message }, ou null si la quête peut être soumise
+function refuseQuestUpload(quest) {
+  if (!quest) return { status: 400, message: "Cette quête n'est pas disponible." };
+  if (quest.completed) return { status: 409, message: 'Tu as déjà validé cette quête.' };
+  if (quest.pending) return { status: 409, message: 'Une photo pour cette quête est déjà en attente de validation.' };
+  if (quest.taken) return { status: 409, message: `Quête déjà remportée par ${quest.winner}.` };
+  return null;
+}
+
+// route upload (requireLogin : mot de passe à changer -> redirection vers /account, pas d'upload)
+app.post('/upload', requireLogin, requireToiletApp, upload.single('image'), csrf.checkMultipart, async (req, res) => {
+  try {
+    if (!req.file) return res.redirect('/');
+
+    const user = req.user;
 
     // --- Récupérer l'ID de la quête et s'assurer que c'est un entier ---
     let questId = req.body.quest_id;
@@ -562,12 +1807,62 @@ app.post('/upload', upload.single('image'), async (req, res) => {
       if (isNaN(questId)) questId = null; // si ce n’est pas un nombre, on le met à null
     }
 
+    // --- La quête doit être disponible et pas déjà validée / soumise pour la période ---
+    let periodKey = null;
+    if (questId) {
+      const [quest] = await getQuestsForUser(user.id, questId);
+      const refused = refuseQuestUpload(quest);
+      if (refused) return res.status(refused.status).send(refused.message);
+      periodKey = quest.period_key;
+    }
+
+    // --- Date EXIF, rotation, suppression des métadonnées, miniatures ---
+    let processed;
+    try {
+      processed = await images.processUpload(req.file.buffer);
+    } catch (ex) {
+      console.warn('Image illisible:', ex.message);
+      return res.status(400).send('Image illisible ou format non supporté.');
+    }
+
+    // --- Upload vers le stockage ---
+    const stored = await storePhoto(processed, 'pending_uploads');
+
     // --- Insérer dans pending_photos ---
-    await pool.query(
-      `INSERT INTO pending_photos (filename, url, user_id, device_token, quest_id, taken_at)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [filename, url, user.id, req.deviceToken, questId, takenDate]
-    );
+    // deux envois rapprochés passent tous deux la vérification ci-dessus : elle est refaite sous
+    // un verrou par utilisateur, dans la transaction de l'INSERT
+    const client = await pool.connect();
+    let pending;
+    try {
+      await client.query('BEGIN');
+      if (questId) {
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [UPLOAD_LOCK_ID, user.id]);
+        const [quest] = await getQuestsForUser(user.id, questId, client);
+        const refused = refuseQuestUpload(quest);
+        if (refused) {
+          await client.query('ROLLBACK');
+          await storage.remove(stored.key);
+          await removeThumbnails(stored.thumbnails);
+          return res.status(refused.status).send(refused.message);
+        }
+      }
+
+      ({ rows: [pending] } = await client.query(
+        `INSERT INTO pending_photos (filename, url, storage_key, thumbnails, user_id, device_token, quest_id, taken_at, period_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [stored.filename, stored.url, stored.key, stored.thumbnails, user.id, req.deviceToken, questId, processed.takenAt, periodKey]
+      ));
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // --- Prévenir les modérateurs connectés ---
+    live.publish('pending_created', { id: pending.id, username: user.username }, { filter: canModerate });
 
     // Redirection après upload
     res.redirect('/toilet-app');
@@ -582,28 +1877,37 @@ app.post('/upload', upload.single('image'), async (req, res) => {
 
 app.post('/login', async (req, res) => {
   const { username, password } = req.body;
+  const renderLoginError = (status, loginError) =>
+    res.status(status).render('index', { user: null, apps: hubApps.visibleFor(null), loginError, loginUsername: username || '' });
 
   try {
-    // Vérifier si l'utilisateur existe
+    // Blocage progressif (par compte et par IP)
+    const lockedUntil = (await getLoginLockedUntil('username', username)) || (await getLoginLockedUntil('ip', req.ip));
+    if (lockedUntil) {
+      res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+      return renderLoginError(429, LOGIN_LOCKED_ERROR);
+    }
+
+    // Vérifier l'utilisateur et le mot de passe (message unique : ne pas révéler si le compte existe)
     const { rows } = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
     const user = rows[0];
 
-    if (!user) {
-      return res.status(401).send("Utilisateur introuvable");
+    const valid = await bcrypt.compare(password || '', user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      await recordLoginAttempt(req, username, false);
+      return renderLoginError(401, LOGIN_ERROR);
     }
 
-    // Vérifier le mot de passe
-    const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid) {
-      return res.status(401).send("Mot de passe incorrect");
-    }
+    await recordLoginAttempt(req, username, true);
 
-    // Associer le device_token à l’utilisateur
-    const token = req.deviceToken;
+    // Nouvelle session : nouveau device_token (évite de réutiliser un token connu avant le login)
+    const token = crypto.randomBytes(32).toString('hex');
     await pool.query(
-      `UPDATE users SET devices = array_append(devices, $1) WHERE id = $2 AND NOT ($1 = ANY(devices))`,
-      [token, user.id]
+      `INSERT INTO sessions (user_id, token, user_agent, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 day')`,
+      [user.id, token, req.get('user-agent') || null, SESSION_TTL_DAYS]
     );
+    setDeviceCookie(req, res, token, 1000 * 60 * 60 * 24 * 365 * 5);
 
     // Stocker l'ID utilisateur en cookie pour la session
     res.cookie("user_id", user.id, { httpOnly: true });
@@ -616,24 +1920,397 @@ app.post('/login', async (req, res) => {
   }
 });
 
-// Route logout
-app.get('/logout', (req, res) => {
+// Route logout (POST + jeton CSRF : une image ou un lien d'une autre page ne déconnecte pas)
+app.post('/logout', async (req, res) => {
+  try {
+    // Révoquer la session de cet appareil
+    const { rows } = await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE token = $1 AND revoked_at IS NULL RETURNING id',
+      [req.deviceToken]
+    );
+    const sessionIds = rows.map(row => row.id);
+    live.disconnect(user => sessionIds.includes(user.session_id));
+  } catch (err) {
+    console.error('Erreur logout:', err);
+  }
+
   // Supprimer les cookies
   res.clearCookie("user_id");
-  res.clearCookie("device_token"); // si tu veux aussi forcer un nouveau device_token
+  res.clearCookie("device_token"); // un nouveau device_token sera généré à la prochaine requête
 
   // Rediriger vers l'accueil
   res.redirect('/');
 });
 
+// --- Compte : appareils connectés ---
+// --- Helper: rendu de la page compte (appareils + changement de mot de passe) ---
+async function renderAccount(req, res, { status = 200, passwordError = null, passwordChanged = false } = {}) {
+  const { rows } = await pool.query(`
+    SELECT id, user_agent, created_at, last_seen_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_seen_at DESC
+  `, [req.user.id]);
+
+  const sessions = rows.map(s => ({
+    ...s,
+    label: describeUserAgent(s.user_agent),
+    current: s.id === req.user.session_id
+  }));
+
+  res.status(status).render('account', {
+    user: req.user,
+    sessions,
+    passwordError,
+    passwordChanged,
+    push: {
+      enabled: push.enabled,
+      publicKey: push.publicKey,
+      categories: PUSH_CATEGORIES,
+      preferences: await push.getPreferences(req.user.id)
+    }
+  });
+}
+
+app.get('/account', requireLogin, async (req, res) => {
+  try {
+    await renderAccount(req, res, { passwordChanged: req.query.password === 'changed' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur serveur');
+  }
+});
+
+// --- Compte : notifications push ---
+// préférences par catégorie (valables pour tous les appareils abonnés)
+app.post('/account/push-preferences', requireLogin, async (req, res) => {
+  const categories = [].concat(req.body.categories || []).filter(c => PUSH_CATEGORIES[c]);
+  try {
+    await push.setPreferences(req.user.id, categories);
+    res.redirect('/account');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur préférences');
+  }
+});
+
+// abonnement de l'appareil courant (PushSubscription sérialisée par le navigateur)
+app.post('/api/push/subscriptions', requireLogin, async (req, res) => {
+  if (!push.enabled) return res.status(503).json({ error: 'Notifications push non configurées' });
+  try {
+    await push.subscribe(req.user.id, req.body.subscription, req.get('user-agent'));
+    res.status(201).json({ ok: true });
+  } catch (e) {
+    if (e.message === 'Abonnement push invalide') return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Erreur abonnement' });
+  }
+});
+
+app.delete('/api/push/subscriptions', requireLogin, async (req, res) => {
+  try {
+    await push.unsubscribe(req.user.id, req.body.endpoint);
+    res.status(204).end();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erreur désabonnement' });
+  }
+});
+
+// changer son mot de passe
+app.post('/account/password', requireLogin, async (req, res) => {
+  const { current_password, new_password, confirm_password } = req.body;
+  try {
+    const valid = await bcrypt.compare(current_password || '', req.user.password_hash);
+    if (!valid) {
+      return await renderAccount(req, res, { status: 400, passwordError: 'Mot de passe actuel incorrect' });
+    }
+
+    const error = validateNewPassword(new_password, confirm_password, req.user.username);
+    if (error) return await renderAccount(req, res, { status: 400, passwordError: error });
+
+    await setPassword(req.user.id, new_password);
+
+    // les autres appareils doivent se reconnecter avec le nouveau mot de passe
+    await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+      [req.user.id, req.user.session_id]
+    );
+    live.disconnect(user => user.id === req.user.id && user.session_id !== req.user.session_id);
+
+    res.redirect('/account?password=changed');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur changement de mot de passe');
+  }
+});
+
+// révoquer un appareil
+app.post('/account/sessions/:id/revoke', requireLogin, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [id, req.user.id]
+    );
+    live.disconnect(user => user.id === req.user.id && user.session_id === id);
+    res.redirect(id === req.user.session_id ? '/' : '/account');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur révocation');
+  }
+});
+
+// révoquer tous les appareils (y compris celui-ci)
+app.post('/account/sessions/revoke-all', requireLogin, async (req, res) => {
+  try {
+    await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [req.user.id]
+    );
+    live.disconnect(user => user.id === req.user.id);
+    res.redirect('/');
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Erreur révocation');
+  }
+});
+
+// --- Réinitialisation par code (émis par un admin) ---
+app.get('/reset-password', (req, res) => {
+  res.render('reset-password', { code: req.query.code || '', username: req.query.username || '', error: null, done: false });
+});
+
+app.post('/reset-password', async (req, res) => {
+  const { code, username, new_password, confirm_password } = req.body;
+  const renderError = (status, error) => res.status(status).render('reset-password', { code: code || '', username: username || '', error, done: false });
+
+  // blocage progressif par compte et par IP : un code se devine aussi par essais successifs
+  try {
+    const lockedUntil = (await getResetLockedUntil('username', username)) || (await getResetLockedUntil('ip', req.ip));
+    if (lockedUntil) {
+      res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+      return renderError(429, LOGIN_LOCKED_ERROR);
+    }
+  } catch (err) {
+    console.error(err);
+    return res.status(500).send('Erreur réinitialisation');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT r.id, r.user_id, u.username
+       FROM password_resets r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.code_hash = $1 AND u.username = $2 AND r.used_at IS NULL AND r.expires_at > NOW()
+       FOR UPDATE OF r`,
+      [hashResetCode(code || ''), username || '']
+    );
+    const reset = rows[0];
+    if (!reset) {
+      await client.query('ROLLBACK');
+      await recordResetAttempt(req, username, false);
+      return renderError(400, 'Code invalide ou expiré');
+    }
+
+    const error = validateNewPassword(new_password, confirm_password, reset.username);
+    if (error) {
+      await client.query('ROLLBACK');
+      return renderError(400, error);
+    }
+
+    await setPassword(reset.user_id, new_password, client);
+    await client.query('UPDATE password_resets SET used_at = NOW() WHERE id = $1', [reset.id]);
+    await client.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [reset.user_id]
+    );
+    await recordResetAttempt(req, username, true, client);
+
+    await client.query('COMMIT');
+    live.disconnect(user => user.id === reset.user_id);
+    res.render('reset-password', { code: '', username: '', error: null, done: true });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Reset password failed', err.message);
+    res.status(500).send('Erreur réinitialisation');
+  } finally {
+    client.release();
+  }
+});
+
+// --- Tâches planifiées (heure de Paris, cf. jobs.js) ---
+// run() renvoie un résumé affiché dans /admin/jobs.
+
+// minuit : nouvelle période pour les quêtes journalières (les complétions sont rattachées à
+// la période, rien à effacer), tirées de la bibliothèque de modèles ; les pages ouvertes
+// proposent de se recharger
+async function dailyReset() {
+  const rotation = await questRotation.apply(1);
+  live.publish('quest_reset', {});
+  const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM quests WHERE type = 1 AND ${QUEST_AVAILABLE_SQL}`);
+  if (rows[0].count === 0) return { rotated: rotation.created.length, daily_quests: 0, pushed: 0 };
+
+  const pushed = await push.sendToAll('daily_reset', {
+    title: 'Nouvelles quêtes du jour',
+    body: rows[0].count > 1 ? `${rows[0].count} quêtes t'attendent !` : 'Une quête t\'attend !',
+    url: '/toilet-app',
+    tag: 'daily_reset'
+  });
+  return { rotated: rotation.created.length, daily_quests: rows[0].count, pushed };
+}
+
+// lundi minuit : quêtes hebdomadaires de la nouvelle semaine (rotation + quêtes disponibles selon leurs dates)
+async function weeklyActivation() {
+  const rotation = await questRotation.apply(3);
+  live.publish('quest_reset', {});
+  const { rows: weekly } = await pool.query(`SELECT id, title FROM quests WHERE type = 3 AND ${QUEST_AVAILABLE_SQL} ORDER BY id`);
+  if (weekly.length === 0) return { rotated: rotation.created.length, weekly_quests: 0, pushed: 0 };
+
+  const pushed = await push.sendToAll('weekly_quests', {
+    title: 'Quêtes de la semaine',
+    body: weekly.map(q => q.title).join(' · '),
+    url: '/toilet-app',
+    tag: 'weekly_quests'
+  });
+  return { rotated: rotation.created.length, weekly_quests: weekly.length, pushed };
+}
+
+// nuit : photos en attente orphelines
+const ORPHAN_UPLOAD_GRACE_MS = 60 * 60 * 1000; // un upload en cours stocke le fichier avant l'INSERT
+
+async function cleanupPendingUploads() {
+  // 1️⃣ Photo en attente d'une quête supprimée : refusée (l'uploader est prévenu)
+  const { rows: orphans } = await pool.query(`
+    SELECT p.id FROM pending_photos p
+    WHERE p.quest_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM quests q WHERE q.id = p.quest_id)
+  `);
+  for (const { id } of orphans) await rejectPending(id, null, 'La quête a été supprimée');
+
+  // 2️⃣ Fichiers de pending_uploads/ référencés nulle part (utilisateur supprimé, upload interrompu) ;
+  // photos de la galerie comprises : avant le déplacement à l'approbation, elles restaient dans ce dossier
+  const { rows: stored } = await pool.query(`
+    SELECT COALESCE(storage_key, 'pending_uploads/' || filename) AS key, thumbnails FROM pending_photos
+    UNION ALL
+    SELECT COALESCE(storage_key, 'pending_uploads/' || filename), thumbnails FROM photos
+    UNION ALL
+    SELECT storage_key, thumbnails FROM memes
+    UNION ALL
+    SELECT svg_storage_key, NULL FROM rewards
+  `);
+  const known = new Set();
+  stored.forEach(file => {
+    if (file.key) known.add(file.key);
+    Object.values(file.thumbnails || {}).forEach(thumb => known.add(thumb.key));
+  });
+
+  let filesRemoved = 0;
+  for (const file of await storage.list('pending_uploads')) {
+    if (known.has(file.key) || Date.now() - file.createdAt < ORPHAN_UPLOAD_GRACE_MS) continue;
+    await storage.remove(file.key);
+    filesRemoved++;
+  }
+  return { rejected: orphans.length, files_removed: filesRemoved };
+}
+
+// démarrage : photos approuvées avant le déplacement à l'approbation, encore dans pending_uploads/,
+// rangées dans uploads/ comme les nouvelles (fichiers remis en place si la mise à jour échoue)
+async function relocateLegacyPhotos() {
+  const { rows: photos } = await pool.query(
+    `SELECT id, storage_key, thumbnails FROM photos WHERE storage_key LIKE 'pending_uploads/%'`
+  );
+
+  let relocated = 0;
+  for (const photo of photos) {
+    const movedFiles = [];
+    try {
+      const moved = await moveFile(photo.storage_key, 'uploads', movedFiles);
+      const thumbnails = await moveThumbnails(photo.thumbnails, 'uploads', movedFiles);
+      await pool.query(
+        'UPDATE photos SET url = $2, storage_key = $3, thumbnails = $4 WHERE id = $1',
+        [photo.id, moved.url, moved.key, thumbnails]
+      );
+      relocated++;
+    } catch (err) {
+      console.error(`Photo ${photo.id} non déplacée dans uploads/ :`, err.message);
+      await restoreMovedFiles(movedFiles);
+    }
+  }
+  if (relocated) console.log(`📦 ${relocated} photo(s) déplacée(s) de pending_uploads/ vers uploads/`);
+}
+
+// soir : résumé push des notifications non lues du jour, et des photos à valider pour les modérateurs
+async function sendDigest() {
+  const { rows: unread } = await pool.query(`
+    SELECT user_id, COUNT(*)::int AS count FROM notifications
+    WHERE read_at IS NULL AND created_at > NOW() - INTERVAL '1 day'
+    GROUP BY user_id
+  `);
+  const { rows: [{ count: pendingCount }] } = await pool.query('SELECT COUNT(*)::int AS count FROM pending_photos');
+
+  const digests = new Map(unread.map(r => [r.user_id, { unread: r.count, pending: 0 }]));
+  if (pendingCount > 0) {
+    const { rows: users } = await pool.query('SELECT id, role FROM users');
+    users.filter(canModerate).forEach(u => {
+      digests.set(u.id, { unread: digests.has(u.id) ? digests.get(u.id).unread : 0, pending: pendingCount });
+    });
+  }
+
+  let pushed = 0;
+  for (const [userId, digest] of digests) {
+    const lines = [];
+    if (digest.unread) lines.push(digest.unread > 1 ? `${digest.unread} notifications non lues` : '1 notification non lue');
+    if (digest.pending) lines.push(digest.pending > 1 ? `${digest.pending} photos à valider` : '1 photo à valider');
+    pushed += await push.sendToUsers(userId, 'digest', {
+      title: 'Résumé du jour',
+      body: lines.join(' · '),
+      url: digest.pending ? '/admin' : '/toilet-app',
+      tag: 'digest'
+    });
+  }
+  return { users: digests.size, pushed };
+}
+
+jobs.define('daily_reset', {
+  label: 'Nouvelles quêtes du jour',
+  when: 'Tous les jours à minuit',
+  schedule: '0 0 * * *',
+  catchUp: 'day',
+  run: dailyReset
+});
+jobs.define('weekly_activation', {
+  label: 'Quêtes de la semaine',
+  when: 'Le lundi à minuit',
+  schedule: '0 0 * * 1',
+  catchUp: 'week',
+  run: weeklyActivation
+});
+jobs.define('pending_cleanup', {
+  label: 'Nettoyage des photos en attente orphelines',
+  when: 'Tous les jours à 3h30',
+  schedule: '30 3 * * *',
+  run: cleanupPendingUploads
+});
+jobs.define('digest', {
+  label: 'Résumé du soir (push)',
+  when: 'Tous les jours à 19h',
+  schedule: '0 19 * * *',
+  run: sendDigest
+});
+
 // Démarrage
-initDb().then(async () => {
-  await ensureDailyReset();
-  await refreshWeeklyQuestsActive(); // <<< appel initial
+runMigrations(pool).then(async () => {
+  await bootstrapAdmin();
+  await hubApps.load();
+  await relocateLegacyPhotos(); // avant le nettoyage planifié de pending_uploads/
+  await jobs.start();
   app.listen(PORT, () => {
     console.log(`✅ Serveur démarré sur port ${PORT}`);
   });
 }).catch(err => {
-  console.error('DB init failed:', err);
+  console.error('DB migration failed:', err);
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * Statistiques de l'admin : soumissions, modération, quêtes, utilisateurs actifs.
+ *
+ *   createStats({ pool, timezone, questTypes })
+ *     report({ days })        -> { days, tables: { [name]: table } } (tous les tableaux de la page)
+ *     table(name, { days })   -> { name, title, columns: [{ key, label }], rows } ou null si inconnu
+ *   toCsv(table)              -> texte CSV (séparateur virgule, BOM UTF-8 pour Excel)
+ *   TABLE_NAMES / PERIOD_DAYS
+ *
+ * Période = les `days` derniers jours, jour courant compris (heure de Paris). Une soumission
+ * est une photo en attente, approuvée (photos) ou refusée (photo_rejections) : les pending_photos
+ * sont supprimées à la modération. Utilisateur actif = au moins une soumission, réaction ou
+ * commentaire dans la semaine.
+ */
+
+const PERIOD_DAYS = [7, 30, 90];
+
+// $1 = fuseau horaire, $2 = nombre de jours
+const PERIOD_SQL = `
+  period AS (
+    SELECT ((NOW() AT TIME ZONE $1::text)::date - ($2::int - 1)) AS first_day,
+           (NOW() AT TIME ZONE $1)::date AS last_day,
+           ((NOW() AT TIME ZONE $1)::date - ($2::int - 1))::timestamp AT TIME ZONE $1 AS since
+  )
+`;
+
+// photos approuvées avant le suivi de submitted_at : date d'approbation à défaut
+const SUBMISSIONS_SQL = `
+  submissions AS (
+    SELECT user_id, COALESCE(submitted_at, uploaded_at) AS submitted_at, 'approved' AS outcome FROM photos
+    UNION ALL
+    SELECT user_id, submitted_at, 'rejected' FROM photo_rejections WHERE submitted_at IS NOT NULL
+    UNION ALL
+    SELECT user_id, created_at, 'pending' FROM pending_photos
+  )
+`;
+
+const TABLES = {
+  submissions: {
+    title: 'Soumissions par jour',
+    columns: [
+      { key: 'day', label: 'Jour' },
+      { key: 'submitted', label: 'Soumises' },
+      { key: 'approved', label: 'Approuvées' },
+      { key: 'rejected', label: 'Refusées' },
+      { key: 'pending', label: 'En attente' }
+    ],
+    sql: `
+      WITH ${PERIOD_SQL}, ${SUBMISSIONS_SQL}
+      SELECT to_char(d.day, 'YYYY-MM-DD') AS day,
+        COUNT(s.outcome)::int AS submitted,
+        COUNT(*) FILTER (WHERE s.outcome = 'approved')::int AS approved,
+        COUNT(*) FILTER (WHERE s.outcome = 'rejected')::int AS rejected,
+        COUNT(*) FILTER (WHERE s.outcome = 'pending')::int AS pending
+      FROM period
+      CROSS JOIN LATERAL generate_series(period.first_day::timestamp, period.last_day::timestamp, INTERVAL '1 day') AS d(day)
+      LEFT JOIN submissions s ON (s.submitted_at AT TIME ZONE $1)::date = d.day::date
+      GROUP BY d.day
+      ORDER BY d.day
+    `
+  },
+
+  moderation: {
+    title: 'Modération',
+    columns: [
+      { key: 'decided', label: 'Décisions' },
+      { key: 'approved', label: 'Approuvées' },
+      { key: 'rejected', label: 'Refusées' },
+      { key: 'approval_rate', label: "Taux d'approbation (%)" },
+      { key: 'rejection_rate', label: 'Taux de refus (%)' },
+      { key: 'median_minutes', label: 'Délai médian (min)' },
+      { key: 'pending', label: 'En attente' }
+    ],
+    // décisions prises sur la période ; délai = décision - pending_photos.created_at
+    sql: `
+      WITH ${PERIOD_SQL},
+      decisions AS (
+        SELECT 'approved' AS outcome, submitted_at, uploaded_at AS decided_at FROM photos
+        UNION ALL
+        SELECT 'rejected', submitted_at, created_at FROM photo_rejections
+      )
+      SELECT COUNT(*)::int AS decided,
+        COUNT(*) FILTER (WHERE outcome = 'approved')::int AS approved,
+        COUNT(*) FILTER (WHERE outcome = 'rejected')::int AS rejected,
+        ROUND(100.0 * COUNT(*) FILTER (WHERE outcome = 'approved') / NULLIF(COUNT(*), 0), 1)::float AS approval_rate,
+        ROUND(100.0 * COUNT(*) FILTER (WHERE outcome = 'rejected') / NULLIF(COUNT(*), 0), 1)::float AS rejection_rate,
+        ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM decided_at - submitted_at)) / 60)::numeric, 1)::float AS median_minutes,
+        (SELECT COUNT(*) FROM pending_photos)::int AS pending
+      FROM decisions, period
+      WHERE decided_at >= period.since
+    `
+  },
+
+  quests: {
+    title: 'Complétions par quête',
+    columns: [
+      { key: 'quest_id', label: 'Quête (id)' },
+      { key: 'title', label: 'Titre' },
+      { key: 'type_label', label: 'Type' },
+      { key: 'completions', label: 'Complétions' },
+      { key: 'users', label: 'Utilisateurs' }
+    ],
+    sql: `
+      WITH ${PERIOD_SQL}
+      SELECT q.id AS quest_id, q.title, q.type,
+        COUNT(c.id)::int AS completions,
+        COUNT(DISTINCT c.user_id)::int AS users
+      FROM quest_completions c
+      JOIN quests q ON q.id = c.quest_id, period
+      WHERE c.created_at >= period.since
+      GROUP BY q.id
+      ORDER BY completions DESC, q.title
+    `
+  },
+
+  questTypes: {
+    title: 'Complétions par type de quête',
+    columns: [
+      { key: 'type_label', label: 'Type' },
+      { key: 'quests', label: 'Quêtes' },
+      { key: 'completions', label: 'Complétions' },
+      { key: 'users', label: 'Utilisateurs' }
+    ],
+    sql: `
+      WITH ${PERIOD_SQL}
+      SELECT q.type,
+        COUNT(DISTINCT q.id)::int AS quests,
+        COUNT(c.id)::int AS completions,
+        COUNT(DISTINCT c.user_id)::int AS users
+      FROM quest_completions c
+      JOIN quests q ON q.id = c.quest_id, period
+      WHERE c.created_at >= period.since
+      GROUP BY q.type
+      ORDER BY q.type
+    `
+  },
+
+  activeUsers: {
+    title: 'Utilisateurs actifs par semaine',
+    columns: [
+      { key: 'week', label: 'Semaine' },
+      { key: 'week_start', label: 'Lundi' },
+      { key: 'active_users', label: 'Actifs' },
+      { key: 'submitters', label: 'Avec une soumission' }
+    ],
+    // semaines ISO qui recouvrent la période
+    sql: `
+      WITH ${PERIOD_SQL}, ${SUBMISSIONS_SQL},
+      activity AS (
+        SELECT user_id, submitted_at AS at, TRUE AS submission FROM submissions
+        UNION ALL
+        SELECT user_id, created_at, FALSE FROM photo_reactions
+        UNION ALL
+        SELECT user_id, created_at, FALSE FROM photo_comments
+      )
+      SELECT to_char(w.week, 'IYYY-"W"IW') AS week,
+        to_char(w.week, 'YYYY-MM-DD') AS week_start,
+        COUNT(DISTINCT a.user_id)::int AS active_users,
+        COUNT(DISTINCT a.user_id) FILTER (WHERE a.submission)::int AS submitters
+      FROM period
+      CROSS JOIN LATERAL generate_series(date_trunc('week', period.first_day::timestamp), period.last_day::timestamp, INTERVAL '1 week') AS w(week)
+      LEFT JOIN activity a ON a.user_id IS NOT NULL AND date_trunc('week', a.at AT TIME ZONE $1) = w.week
+      GROUP BY w.week
+      ORDER BY w.week
+    `
+  }
+};
+
+const TABLE_NAMES = Object.keys(TABLES);
+
+function createStats({ pool, timezone, questTypes }) {
+  async function table(name, { days }) {
+    const def = TABLES[name];
+    if (!def) return null;
+
+    const { rows } = await pool.query(def.sql, [timezone, days]);
+    rows.forEach(row => {
+      if ('type' in row) row.type_label = questTypes[row.type] || 'Sans type';
+    });
+    return { name, title: def.title, columns: def.columns, rows };
+  }
+
+  async function report({ days }) {
+    const tables = {};
+    for (const name of TABLE_NAMES) {
+      tables[name] = await table(name, { days });
+    }
+    return { days, tables };
+  }
+
+  return { table, report };
+}
+
+// valeurs entre guillemets si besoin ; texte commençant par = + - @ neutralisé (formules tableur)
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv({ columns, rows }) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')];
+  rows.forEach(row => lines.push(columns.map(c => csvCell(row[c.key])).join(',')));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { createStats, toCsv, TABLE_NAMES, PERIOD_DAYS };
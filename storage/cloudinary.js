@@ -0,0 +1,72 @@
+/**
+ * Driver Cloudinary : key = public_id ("dossier/nom")
+ */
+
+const cloudinary = require('cloudinary').v2;
+
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret }) {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+  });
+
+  return {
+    name: 'cloudinary',
+
+    put(buffer, { folder }) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { folder },
+          (error, result) => error
+            ? reject(error)
+            : resolve({
+                key: result.public_id,
+                filename: result.public_id.split('/').pop(),
+                url: result.secure_url
+              })
+        );
+        stream.end(buffer);
+      });
+    },
+
+    url(key) {
+      return cloudinary.url(key, { secure: true });
+    },
+
+    async move(key, folder) {
+      const result = await cloudinary.uploader.rename(key, `${folder}/${key.split('/').pop()}`, { overwrite: true });
+      return { key: result.public_id, url: result.secure_url };
+    },
+
+    async remove(key) {
+      await cloudinary.uploader.destroy(key);
+    },
+
+    async read(key) {
+      const res = await fetch(cloudinary.url(key, { secure: true }));
+      if (!res.ok) throw new Error(`Lecture Cloudinary impossible (${res.status}) : ${key}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    async list(folder) {
+      const files = [];
+      let nextCursor;
+      do {
+        const result = await cloudinary.api.resources({
+          type: 'upload',
+          prefix: `${folder}/`,
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+        result.resources.forEach(r => files.push({ key: r.public_id, createdAt: new Date(r.created_at) }));
+        nextCursor = result.next_cursor;
+      } while (nextCursor);
+      return files;
+    },
+
+    mount() {}
+  };
+}
+
+module.exports = createCloudinaryStorage;
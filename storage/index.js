@@ -0,0 +1,52 @@
+/**
+ * Stockage des fichiers (photos, icônes) derrière une interface commune :
+ *   put(buffer, { folder, contentType }) -> { key, filename, url }
+ *   url(key)                             -> URL publique
+ *   move(key, folder)                    -> { key, url }
+ *   remove(key)
+ *   read(key)                            -> Buffer (contenu du fichier)
+ *   list(folder)                         -> [{ key, createdAt }] (sous-dossiers compris)
+ *   mount(app)                           -> routes Express éventuelles (driver local)
+ *
+ * La clé (`key`) est stockée en base (colonnes storage_key) : "dossier/nom" côté Cloudinary,
+ * "dossier/nom.ext" côté disque local.
+ *
+ * Driver choisi par STORAGE_DRIVER (cloudinary | local). Par défaut : cloudinary si
+ * CLOUDINARY_CLOUD_NAME est défini, sinon local (dev / tests sans compte Cloudinary).
+ */
+
+const path = require('path');
+const express = require('express');
+const createCloudinaryStorage = require('./cloudinary');
+const createLocalStorage = require('./local');
+
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  const storage = driver === 'cloudinary'
+    ? createCloudinaryStorage({
+        cloudName: env.CLOUDINARY_CLOUD_NAME,
+        apiKey: env.CLOUDINARY_API_KEY,
+        apiSecret: env.CLOUDINARY_API_SECRET
+      })
+    : driver === 'local'
+      ? createLocalStorage({
+          dir: path.resolve(env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'media')),
+          baseUrl: env.LOCAL_STORAGE_URL || '/media'
+        })
+      : null;
+
+  if (!storage) throw new Error(`STORAGE_DRIVER inconnu : ${driver}`);
+
+  const driverMount = storage.mount;
+  return {
+    ...storage,
+    // photos de profil du repo (profile-pics/) servies quel que soit le driver
+    mount(app) {
+      app.use('/profile-pics', express.static(path.join(__dirname, '..', 'profile-pics')));
+      driverMount(app);
+    }
+  };
+}
+
+module.exports = createStorage;
@@ -0,0 +1,94 @@
+/**
+ * Driver disque local : key = "dossier/nom.ext" sous `dir`, servi par Express sous `baseUrl`
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg'
+};
+
+function createLocalStorage({ dir, baseUrl }) {
+  // chemin absolu d'une clé, sans sortir de `dir`
+  function resolveKey(key) {
+    const fullPath = path.resolve(dir, key);
+    if (!fullPath.startsWith(dir + path.sep)) throw new Error(`Clé de stockage invalide : ${key}`);
+    return fullPath;
+  }
+
+  function url(key) {
+    return `${baseUrl}/${key}`;
+  }
+
+  return {
+    name: 'local',
+
+    async put(buffer, { folder, contentType }) {
+      const filename = crypto.randomBytes(10).toString('hex');
+      const key = `${folder}/${filename}.${EXTENSIONS[contentType] || 'bin'}`;
+      const fullPath = resolveKey(key);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, buffer);
+      return { key, filename, url: url(key) };
+    },
+
+    url,
+
+    async move(key, folder) {
+      const newKey = `${folder}/${path.basename(key)}`;
+      const newPath = resolveKey(newKey);
+      await fs.mkdir(path.dirname(newPath), { recursive: true });
+      await fs.rename(resolveKey(key), newPath);
+      return { key: newKey, url: url(newKey) };
+    },
+
+    async remove(key) {
+      await fs.unlink(resolveKey(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    async read(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async list(folder) {
+      const files = [];
+      async function walk(prefix) {
+        const entries = await fs.readdir(resolveKey(prefix), { withFileTypes: true }).catch(err => {
+          if (err.code === 'ENOENT') return [];
+          throw err;
+        });
+        for (const entry of entries) {
+          const key = `${prefix}/${entry.name}`;
+          if (entry.isDirectory()) await walk(key);
+          else files.push({ key, createdAt: (await fs.stat(resolveKey(key))).mtime });
+        }
+      }
+      await walk(folder);
+      return files;
+    },
+
+    // SVG déjà stockés (icônes d'avant la rastérisation) : servis sans pouvoir exécuter de script
+    mount(app) {
+      app.use(baseUrl, express.static(dir, {
+        maxAge: '7d',
+        setHeaders(res, filePath) {
+          if (path.extname(filePath).toLowerCase() === '.svg') {
+            res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+            res.set('Content-Disposition', 'attachment');
+          }
+        }
+      }));
+    }
+  };
+}
+
+module.exports = createLocalStorage;
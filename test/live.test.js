@@ -0,0 +1,51 @@
+// Flux SSE : diffusion filtrée et fermeture des flux d'un utilisateur (révocation, changement de rôle).
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { createLive } = require('../live');
+
+// client SSE minimal : accumule le texte reçu, `ended` se résout à la fermeture par le serveur
+function openStream(port, userId) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: `/events?user=${userId}`, agent: false }, res => {
+      const stream = { text: '', ended: new Promise(done => res.on('end', done)) };
+      res.setEncoding('utf8');
+      res.on('data', chunk => { stream.text += chunk; });
+      res.once('data', () => resolve(stream)); // ligne retry: = flux ouvert
+    }).on('error', reject);
+  });
+}
+
+test('ferme les flux ciblés et continue de diffuser aux autres', async () => {
+  const live = createLive();
+  const app = express();
+  app.get('/events', (req, res) => {
+    const userId = Number(req.query.user);
+    live.connect(req, res, { id: userId, session_id: userId * 10, role: 'user' });
+  });
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const revoked = await openStream(port, 1);
+    const kept = await openStream(port, 2);
+    assert.strictEqual(live.size, 2);
+
+    live.disconnect(user => user.id === 1);
+    await revoked.ended;
+    assert.strictEqual(live.size, 1);
+
+    live.publish('quest_reset', {});
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.match(kept.text, /event: quest_reset/);
+    assert.doesNotMatch(revoked.text, /event: quest_reset/);
+
+    live.disconnect(() => true);
+    await kept.ended;
+    assert.strictEqual(live.size, 0);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,157 @@
+// Envoi Web Push contre un faux service de push local (serveur HTTP sur 127.0.0.1) :
+// requête chiffrée (aes128gcm, RFC 8291) et signée (VAPID), nettoyage des abonnements 404 / 410.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const webpush = require('web-push');
+const { createPush } = require('../push');
+
+// navigateur simulé : clé ECDH P-256 + secret d'authentification
+function createBrowserKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  return {
+    ecdh,
+    auth,
+    keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: auth.toString('base64url') }
+  };
+}
+
+// déchiffrement côté navigateur (RFC 8291 / RFC 8188, un seul enregistrement)
+function decrypt(body, { ecdh, auth }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, auth, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8'); // délimiteur 0x02 puis bourrage
+}
+
+// faux pool : abonnements en mémoire, requêtes SQL enregistrées
+function createPool(subscriptions) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (sql.includes('SELECT s.* FROM push_subscriptions')) return { rows: subscriptions };
+      return { rows: [], rowCount: 1 };
+    }
+  };
+}
+
+// faux service de push : répond le statut demandé par le chemin (/404, /410, /201...)
+function startPushService(t) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.statusCode = parseInt(req.url.slice(1), 10) || 201;
+      res.end();
+    });
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ received, url: path => `http://127.0.0.1:${server.address().port}${path}` });
+  }));
+}
+
+function createTestPush(pool, options = {}) {
+  const vapid = webpush.generateVAPIDKeys();
+  return {
+    vapid,
+    push: createPush({
+      pool,
+      publicKey: vapid.publicKey,
+      privateKey: vapid.privateKey,
+      subject: 'mailto:test@example.com',
+      allowLocalEndpoints: true,
+      ...options
+    })
+  };
+}
+
+test('envoie une notification chiffrée et signée au service de push', async t => {
+  const service = await startPushService(t);
+  const browser = createBrowserKeys();
+  const pool = createPool([{ id: 1, user_id: 7, endpoint: service.url('/201'), ...browser.keys }]);
+  const { push, vapid } = createTestPush(pool);
+
+  const payload = { title: 'Photo validée', body: 'Bravo', url: '/toilet-app', tag: 'moderation' };
+  assert.strictEqual(await push.sendToUsers([7], 'moderation', payload), 1);
+
+  assert.strictEqual(service.received.length, 1);
+  const [request] = service.received;
+  assert.strictEqual(request.headers['content-encoding'], 'aes128gcm');
+  assert.strictEqual(request.headers.ttl, String(24 * 60 * 60));
+  assert.match(request.headers.authorization, new RegExp(`^vapid t=[\\w-]+\\.[\\w-]+\\.[\\w-]+, k=${vapid.publicKey}$`));
+  assert.ok(!request.body.includes('Photo validée'), 'le contenu ne circule pas en clair');
+  assert.deepStrictEqual(JSON.parse(decrypt(request.body, browser)), payload);
+
+  assert.ok(pool.queries.some(q => q.sql.includes('SET last_sent_at = NOW(), failures = 0') && q.params[0] === 1));
+});
+
+test('supprime les abonnements expirés (404 / 410), compte les autres échecs', async t => {
+  const service = await startPushService(t);
+  const subscriptions = [
+    { id: 1, user_id: 7, endpoint: service.url('/404'), ...createBrowserKeys().keys },
+    { id: 2, user_id: 7, endpoint: service.url('/410'), ...createBrowserKeys().keys },
+    { id: 3, user_id: 7, endpoint: service.url('/500'), ...createBrowserKeys().keys }
+  ];
+  const pool = createPool(subscriptions);
+  const { push } = createTestPush(pool);
+
+  assert.strictEqual(await push.sendToAll('daily_reset', { title: 'Nouvelles quêtes' }), 0);
+  assert.strictEqual(service.received.length, 3);
+
+  const deleted = pool.queries.filter(q => q.sql.startsWith('DELETE FROM push_subscriptions')).map(q => q.params[0]);
+  const failed = pool.queries.filter(q => q.sql.includes('failures = failures + 1')).map(q => q.params[0]);
+  assert.deepStrictEqual(deleted, [1, 2]);
+  assert.deepStrictEqual(failed, [3]);
+});
+
+test("refuse à l'abonnement les endpoints non https ou vers un hôte privé", async () => {
+  const keys = createBrowserKeys().keys;
+  const { push } = createTestPush(createPool([]), { allowLocalEndpoints: false });
+  const { push: localPush } = createTestPush(createPool([]));
+
+  for (const endpoint of [
+    'http://127.0.0.1:9000/push', 'https://127.0.0.1/push', 'https://localhost/push', 'https://10.0.0.5/push',
+    'https://169.254.169.254/latest', 'https://[::1]/push', 'https://[fd00::1]/push', 'https://0x7f.1/push',
+    'https://db.internal/push', 'https://intranet/push', 'http://fcm.googleapis.com/fcm/send/abc', 'file:///etc/passwd'
+  ]) {
+    await assert.rejects(push.subscribe(7, { endpoint, keys }), /Abonnement push invalide/, endpoint);
+  }
+  await push.subscribe(7, { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys });
+
+  // faux service local : seulement avec allowLocalEndpoints, et seulement la boucle locale
+  await localPush.subscribe(7, { endpoint: 'http://127.0.0.1:9000/push', keys });
+  await assert.rejects(localPush.subscribe(7, { endpoint: 'http://10.0.0.5/push', keys }), /Abonnement push invalide/);
+});
+
+test("n'envoie rien à un nom public qui résout vers une adresse privée", async () => {
+  let sent = 0;
+  const pool = createPool([{ id: 4, user_id: 7, endpoint: 'https://push.example.com/abc', ...createBrowserKeys().keys }]);
+  const { push } = createTestPush(pool, {
+    allowLocalEndpoints: false,
+    lookup: async () => [{ address: '192.168.1.10', family: 4 }],
+    transport: async () => { sent++; return { statusCode: 201 }; }
+  });
+
+  assert.strictEqual(await push.sendToAll('quests', { title: 'Quête spéciale' }), 0);
+  assert.strictEqual(sent, 0);
+  assert.ok(pool.queries.some(q => q.sql.startsWith('DELETE FROM push_subscriptions') && q.params[0] === 4));
+});
@@ -0,0 +1,62 @@
+// Jeton CSRF des formulaires multipart : lu dans le corps après multer, jamais dans l'URL.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const multer = require('multer');
+const { createCsrf } = require('../security');
+
+async function startApp() {
+  const csrf = createCsrf({ secret: 'test' });
+  const upload = multer({ storage: multer.memoryStorage() });
+  const app = express();
+  app.use((req, res, next) => { req.deviceToken = 'device'; next(); });
+  app.use(express.urlencoded({ extended: false }));
+  app.use(csrf.protect);
+  app.post('/upload', upload.single('image'), csrf.checkMultipart, (req, res) => res.send('ok'));
+  app.post('/logout', (req, res) => res.send('ok'));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const token = csrf.token({ deviceToken: 'device' });
+  return { server, base, token };
+}
+
+function multipart(fields) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  form.append('image', new Blob(['image']), 'photo.jpg');
+  return form;
+}
+
+test('vérifie le champ _csrf des formulaires multipart après multer', async () => {
+  const { server, base, token } = await startApp();
+  const origin = { Origin: base };
+
+  try {
+    let res = await fetch(`${base}/upload`, { method: 'POST', headers: origin, body: multipart({ _csrf: token }) });
+    assert.strictEqual(res.status, 200);
+
+    res = await fetch(`${base}/upload`, { method: 'POST', headers: { 'X-CSRF-Token': token }, body: multipart({}) });
+    assert.strictEqual(res.status, 200, 'en-tête X-CSRF-Token');
+
+    res = await fetch(`${base}/upload`, { method: 'POST', headers: origin, body: multipart({ _csrf: 'faux' }) });
+    assert.strictEqual(res.status, 403);
+
+    res = await fetch(`${base}/upload?_csrf=${token}`, { method: 'POST', headers: origin, body: multipart({}) });
+    assert.strictEqual(res.status, 403, "jeton dans l'URL ignoré");
+
+    // provenance inconnue : refusé avant d'atteindre la route
+    res = await fetch(`${base}/upload`, { method: 'POST', body: multipart({ _csrf: token }) });
+    assert.strictEqual(res.status, 403);
+
+    // route sans multer : le jeton reporté n'est jamais vérifié, seul le site lui-même passe
+    res = await fetch(`${base}/logout`, { method: 'POST', headers: { Origin: 'https://evil.example' }, body: multipart({}) });
+    assert.strictEqual(res.status, 403);
+    res = await fetch(`${base}/logout`, { method: 'POST', body: multipart({}) });
+    assert.strictEqual(res.status, 403);
+  } finally {
+    server.close();
+  }
+});
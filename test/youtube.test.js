@@ -0,0 +1,98 @@
+// Liens YouTube et métadonnées oEmbed, contre un faux endpoint oEmbed local (hors ligne).
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { parseVideoId, createVideoLookup, stubVideoLookup } = require('../youtube');
+
+test("extrait l'identifiant des liens YouTube", () => {
+  const cases = {
+    'dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ?t=42': 'dQw4w9WgXcQ',
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123': 'dQw4w9WgXcQ',
+    'youtube.com/watch?v=dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://m.youtube.com/watch?v=dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://www.youtube.com/shorts/dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://www.youtube.com/embed/dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    'https://www.youtube.com/live/dQw4w9WgXcQ': 'dQw4w9WgXcQ',
+    '  https://youtu.be/dQw4w9WgXcQ  ': 'dQw4w9WgXcQ'
+  };
+  for (const [input, id] of Object.entries(cases)) assert.strictEqual(parseVideoId(input), id, input);
+
+  for (const input of [
+    '', null, undefined, 'pas un lien', 'dQw4w9WgXc', 'https://youtu.be/', 'https://youtu.be/dQw4w9WgXc!',
+    'https://www.youtube.com/watch', 'https://www.youtube.com/channel/UC1234567890',
+    'https://evil.example/watch?v=dQw4w9WgXcQ', 'https://youtube.com.evil.example/watch?v=dQw4w9WgXcQ'
+  ]) {
+    assert.strictEqual(parseVideoId(input), null, String(input));
+  }
+});
+
+// faux oEmbed : /oembed?url=...&format=json ; comportement choisi selon l'identifiant demandé
+function startOembedStub(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const videoId = new URL(url.searchParams.get('url')).searchParams.get('v');
+
+    if (videoId === 'missingVid0') { res.statusCode = 404; return res.end('Not Found'); }
+    if (videoId === 'brokenVid00') { res.statusCode = 500; return res.end('Oops'); }
+    if (videoId === 'slowVideo00') return; // ne répond jamais
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      title: 'Never Gonna Give You Up',
+      author_name: 'Rick Astley',
+      thumbnail_url: 'https://tracker.example/pixel.gif'
+    }));
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ requests, endpoint: `http://127.0.0.1:${server.address().port}/oembed` });
+  }));
+}
+
+test("lit titre et chaîne ; miniature construite depuis l'identifiant", async t => {
+  const stub = await startOembedStub(t);
+  const lookup = createVideoLookup({ endpoint: stub.endpoint });
+
+  assert.deepStrictEqual(await lookup('dQw4w9WgXcQ'), {
+    title: 'Never Gonna Give You Up',
+    channel: 'Rick Astley',
+    thumbnailUrl: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+  });
+  assert.strictEqual(stub.requests[0].pathname, '/oembed');
+  assert.strictEqual(stub.requests[0].searchParams.get('url'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  assert.strictEqual(stub.requests[0].searchParams.get('format'), 'json');
+});
+
+test('vidéo introuvable (404) : métadonnées vides ; erreur serveur : exception', async t => {
+  const stub = await startOembedStub(t);
+  const lookup = createVideoLookup({ endpoint: stub.endpoint });
+
+  assert.deepStrictEqual(await lookup('missingVid0'), { title: null, channel: null, thumbnailUrl: null });
+  await assert.rejects(lookup('brokenVid00'), /HTTP 500/);
+});
+
+test('abandonne après timeoutMs', async t => {
+  const stub = await startOembedStub(t);
+  const lookup = createVideoLookup({ endpoint: stub.endpoint, timeoutMs: 100 });
+
+  const started = Date.now();
+  await assert.rejects(lookup('slowVideo00'), err => err.name === 'TimeoutError');
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('stub : métadonnées factices sans réseau', async () => {
+  assert.deepStrictEqual(await stubVideoLookup('dQw4w9WgXcQ'), {
+    title: 'Vidéo dQw4w9WgXcQ',
+    channel: 'Chaîne de test',
+    thumbnailUrl: null
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Vidéos YouTube : identifiant extrait d'un lien, métadonnées (titre, chaîne, miniature).
+ *
+ *   parseVideoId(input)                          -> identifiant (11 caractères) ou null
+ *   thumbnailUrl(videoId)                        -> miniature sur i.ytimg.com
+ *   createVideoLookup({ endpoint, fetchImpl, timeoutMs }) -> lookup(videoId)
+ *     lookup(videoId) -> { title, channel, thumbnailUrl } (champs null si la vidéo est introuvable)
+ *   stubVideoLookup(videoId)                     -> métadonnées factices, sans réseau
+ *
+ * Métadonnées via oEmbed (pas de clé d'API). L'endpoint est configurable (YOUTUBE_OEMBED_URL) :
+ * un serveur local qui imite https://www.youtube.com/oembed suffit pour travailler hors ligne,
+ * et YOUTUBE_OEMBED_URL=stub n'interroge rien du tout (stubVideoLookup). La miniature n'est pas
+ * reprise de la réponse : elle est construite depuis l'identifiant (seul i.ytimg.com est autorisé
+ * par la CSP). Cf. test/youtube.test.js.
+ */
+
+const OEMBED_URL = 'https://www.youtube.com/oembed';
+const LOOKUP_TIMEOUT_MS = 5000;
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+
+// youtu.be/ID, youtube.com/watch?v=ID, /shorts/ID, /embed/ID, /live/ID, /v/ID, ou l'identifiant seul
+function parseVideoId(input) {
+  const value = String(input || '').trim();
+  if (VIDEO_ID.test(value)) return value;
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  let id = null;
+  if (host === 'youtu.be' || host === 'www.youtu.be') {
+    id = url.pathname.split('/')[1];
+  } else if (YOUTUBE_HOSTS.includes(host)) {
+    const [, first, second] = url.pathname.split('/');
+    id = first === 'watch' ? url.searchParams.get('v')
+      : ['shorts', 'embed', 'live', 'v'].includes(first) ? second
+      : null;
+  }
+  return id && VIDEO_ID.test(id) ? id : null;
+}
+
+function thumbnailUrl(videoId) {
+  return `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+}
+
+function createVideoLookup({ endpoint = OEMBED_URL, fetchImpl = fetch, timeoutMs = LOOKUP_TIMEOUT_MS } = {}) {
+  return async function lookup(videoId) {
+    const params = new URLSearchParams({ url: `https://www.youtube.com/watch?v=${videoId}`, format: 'json' });
+    const res = await fetchImpl(`${endpoint}?${params}`, { signal: AbortSignal.timeout(timeoutMs) });
+
+    // 400 / 401 / 403 / 404 : vidéo privée, supprimée ou non intégrable ; le reste est une vraie erreur
+    if ([400, 401, 403, 404].includes(res.status)) return { title: null, channel: null, thumbnailUrl: null };
+    if (!res.ok) throw new Error(`oEmbed YouTube : HTTP ${res.status}`);
+
+    const data = await res.json();
+    return {
+      title: data.title || null,
+      channel: data.author_name || null,
+      thumbnailUrl: thumbnailUrl(videoId)
+    };
+  };
+}
+
+async function stubVideoLookup(videoId) {
+  return { title: `Vidéo ${videoId}`, channel: 'Chaîne de test', thumbnailUrl: null };
+}
+
+module.exports = { parseVideoId, thumbnailUrl, createVideoLookup, stubVideoLookup };